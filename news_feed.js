@@ -17,10 +17,16 @@
  * 配置字段说明：
  * - url: RSS源URL
  * - name: 源名称
- * - type: 源类型 ('rss' 或 'atom')
+ * - type: 源类型 ('rss'、'atom'、'rdf' 或 'jsonfeed'，与实际内容不符时按内容自动检测)
  * - processGroups: 处理分组编号数组，指定在哪些入口函数中运行（[1, 2], [3, 4]...）
  * - maxEntriesPerFeed: (可选) 该源目标新新闻数量（真正通过去重过滤的新闻数），未设置则使用全局配置
+ * - maxAgeHours: (可选) 只处理发布时间在最近N小时内的条目，未设置则使用 FRESHNESS_CONFIG.defaultMaxAgeHours
+ * - undatedPolicy: (可选) 无法解析发布时间的条目的处理方式，未设置则使用 FRESHNESS_CONFIG.undatedPolicy
  * - detailPageConfig: (可选) 详情页抓取配置
+ * - classificationPolicy: (可选) 按分类名覆盖 CLASSIFICATION_POLICY 的保存规则
+ * - keywordRules: (可选) 该源的关键词预过滤规则，先于 KEYWORD_FILTER_CONFIG.rules 判断
+ * - boilerplateRules: (可选) 该源的正文样板清理规则，格式同 BOILERPLATE_CONFIG.defaultRules，默认与全局规则合并
+ * - translate: (可选) 目标语言（如 'zh-CN'），标题和正文不是该语言时先翻译再分类、总结和保存
  */
 const RSS_FEEDS = [
   {
@@ -59,12 +65,185 @@ const RSS_FEEDS = [
   }
 ];
 
+/**
+ * RSS源表格配置
+ * 启用后从 Google Drive 根目录的表格文件读取RSS源列表（第一行为表头，列名见 FEED_SHEET_SCHEMA），
+ * 表格不可用、缺少必填列或没有有效行时回退到 RSS_FEEDS。
+ * 表格中的URL与 RSS_FEEDS 中某个源相同时，表格字段覆盖该源，其余字段（classificationPolicy、keywordRules 等）保留。
+ */
+const FEED_SHEET_CONFIG = {
+  enabled: true,
+  fileName: 'news_feed_config', // 表格文件名（Google Drive根目录）
+  sheetName: 'feeds',           // 工作表名称
+  range: 'A1:Z500'              // 读取范围（包含表头行）
+};
+
+/**
+ * RSS源表格列定义
+ * - column: 表头列名
+ * - field: 对应的RSS源配置字段（detailPageConfig.* 写入详情页配置）
+ * - type: string | url | enum | integer | integerList | list | boolean
+ * - required: 是否必填；values: enum 的可选值；defaultValue: 单元格为空时的默认值
+ * list / integerList 以逗号、分号、顿号或换行分隔；boolean 接受 TRUE/FALSE、是/否、1/0
+ */
+const FEED_SHEET_SCHEMA = [
+  { column: 'url', field: 'url', type: 'url', required: true },
+  { column: 'name', field: 'name', type: 'string', required: true },
+  { column: 'type', field: 'type', type: 'enum', values: ['rss', 'atom', 'rdf', 'jsonfeed'], defaultValue: 'rss' },
+  { column: 'processGroups', field: 'processGroups', type: 'integerList', required: true },
+  { column: 'maxEntriesPerFeed', field: 'maxEntriesPerFeed', type: 'integer' },
+  { column: 'detailSelectors', field: 'detailPageConfig.selectors', type: 'list' },
+  { column: 'excludeSelectors', field: 'detailPageConfig.excludeSelectors', type: 'list' },
+  { column: 'translate', field: 'translate', type: 'string' },
+  { column: 'enabled', field: 'enabled', type: 'boolean', defaultValue: true }
+];
+
+/**
+ * RSS源列表的执行内缓存
+ * 同一次执行中只读取并校验一次表格。
+ */
+const FEED_CONFIG_CACHE = {
+  feeds: null,
+  source: null
+};
+
+/**
+ * OPML导入导出配置
+ * 导出时按 processGroups 生成文件夹，processGroups、maxEntriesPerFeed、detailPageConfig 写入 nf: 自定义属性；
+ * 导入时按URL合并到RSS源表格，没有 nf:processGroups 属性的RSS源使用所在文件夹（含上级文件夹）标题中的分组编号。
+ */
+const OPML_CONFIG = {
+  subFolder: 'news_feed/opml',               // OPML文件目录（位于 STORAGE_CONFIG.rootFolder 下）
+  exportFileName: 'news_feed_{{date}}.opml', // 导出文件名，支持 {{date}} 占位符
+  importFileName: 'import.opml',             // 默认导入文件名
+  groupFolderTitle: '组{{groups}}',          // 分组文件夹标题，{{groups}} 为逗号分隔的分组编号；导入时只识别符合此格式的文件夹标题
+  defaultProcessGroups: [1]                  // 导入时没有任何分组信息的RSS源使用的分组
+};
+
+/**
+ * RSS源自动发现配置
+ * discoverFeeds 先读取网页中 <link rel="alternate"> 声明的订阅地址，再尝试网站根目录下的常见路径，
+ * 每个候选地址都实际抓取解析，只返回能解析出条目的源。
+ */
+const DISCOVERY_CONFIG = {
+  commonPaths: ['/feed', '/rss.xml', '/atom.xml', '/feed.xml', '/rss', '/index.xml'], // 常见订阅路径（相对网站根目录）
+  maxCandidates: 10 // 最多验证的候选地址数量（每个候选需一次网络请求）
+};
+
 /**
  * 存储配置
+ * outputFormat 决定新闻文件格式：text 为纯文本（.txt），markdown 为带YAML front matter的Markdown（.md），
+ * json 为包含正文和全部元数据的单个JSON文档（.json）；jsonSidecar 为 true 时 text/markdown 格式额外写入同名 .json 元数据文件。
  */
 const STORAGE_CONFIG = {
   rootFolder: 'app_data',
-  subFolder: 'news_feed/text'
+  subFolder: 'news_feed/text',
+  outputFormat: 'text', // 'text' | 'markdown' | 'json'
+  jsonSidecar: false    // text/markdown格式时是否额外写入同名.json元数据文件
+};
+
+/**
+ * 新闻邮件配置
+ * sendNewsDigestEmail 发送时间窗口内保存的新闻（HTML正文 + 纯文本备用），按分类分组；
+ * 窗口从上次发送时间开始，最长 windowHours 小时，窗口内没有新闻时不发送。
+ */
+const EMAIL_DIGEST_CONFIG = {
+  recipients: [],                                // 收件人邮箱列表，为空时不发送
+  subjectTemplate: '新闻速递 {{date}}（{{count}}条）', // 支持 {{date}}、{{count}} 占位符
+  senderName: '新闻速递',                         // 发件人显示名称
+  windowHours: 24,                               // 时间窗口（小时），建议与触发器间隔一致
+  maxItems: 50,                                  // 单封邮件最多新闻条数（超出时保留最新的）
+  stateKey: 'NEWS_FEED_EMAIL_STATE'              // 记录上次发送时间的脚本属性
+};
+
+/**
+ * 新闻订阅源（Web应用）配置
+ * doGet 以 RSS 2.0 或 Atom 1.0 格式输出最近保存的新闻，请求需携带与脚本属性中一致的 token 参数。
+ */
+const WEB_FEED_CONFIG = {
+  tokenPropertyKey: 'NEWS_FEED_WEB_TOKEN', // 访问令牌所在的脚本属性（勿写入仓库），未配置时拒绝所有请求
+  title: 'AI过滤新闻',
+  description: '经AI分类过滤、总结后保存的新闻',
+  windowHours: 18,      // 输出最近多少小时保存的新闻（gdriveCleanNewsFeed 删除18小时前的新闻文件，更早的新闻没有正文）
+  maxItems: 50,         // 最多输出条数（保留最新的）
+  defaultFormat: 'rss'  // 未指定 format 参数时的格式：'rss' 或 'atom'
+};
+
+/**
+ * 已处理条目索引配置
+ * 以规范化链接、RSS guid / Atom id 为键记录已处理过的条目（两者都没有时回退到标题），
+ * 保存在Drive的JSON文件中，不受 gdriveCleanNewsFeed 清理影响；超过保留天数的记录自动清除。
+ */
+const SEEN_INDEX_CONFIG = {
+  subFolder: 'news_feed/index', // 索引目录（位于 STORAGE_CONFIG.rootFolder 下）
+  fileName: 'seen_items.json',
+  retentionDays: 14, // 记录保留天数
+  trackingParams: ['spm', 'from', 'source', 'ref'] // 规范化链接时去掉的跟踪参数（utm_* 总是去掉）
+};
+
+/**
+ * RSS源健康状态配置
+ * 每次抓取后记录各源的健康状态（保存在 SEEN_INDEX_CONFIG.subFolder 下的JSON文件），
+ * 连续失败达到阈值的源自动暂停，每隔 reprobeHours 小时重新探测一次，成功后自动恢复。
+ */
+const FEED_HEALTH_CONFIG = {
+  fileName: 'feed_health.json',
+  suspendAfterFailures: 5, // 连续失败多少次后暂停
+  reprobeHours: 24,        // 暂停期间重新探测的间隔（小时）
+  emptyAlertDays: 3        // 连续多少天抓取成功但没有任何条目时标记为空源
+};
+
+/**
+ * 跨源近似重复检测配置
+ * 对"标题 + 正文第一段"计算字符n-gram SimHash，与最近N小时内已保存的新闻比较，
+ * 相似度达到阈值时视为同一事件：skip 直接跳过，merge 在已有文件中追加"其他来源"行。
+ */
+const NEAR_DUPLICATE_CONFIG = {
+  enabled: true,
+  windowHours: 18,           // 与最近多少小时内保存的新闻比较（不超过 gdriveCleanNewsFeed 的18小时清理，merge 需要已保存的文件仍存在）
+  shingleSize: 2,            // 字符n-gram长度
+  maxParagraphLength: 200,   // 参与计算的第一段最大字符数
+  similarityThreshold: 0.85, // 相似度阈值（1 - 汉明距离/64）
+  action: 'merge'            // 'skip' 或 'merge'
+};
+
+/**
+ * 每日新闻摘要配置
+ * 汇总上次生成摘要以来保存的新闻（来自已处理条目索引），按分类分组、按保存时间排序，
+ * 在 subFolder 目录生成Google文档；摘要目录不在 gdriveCleanNewsFeed 清理范围内。
+ */
+const DIGEST_CONFIG = {
+  subFolder: 'news_feed/digest',       // 摘要文档目录（位于 STORAGE_CONFIG.rootFolder 下）
+  stateKey: 'NEWS_FEED_DIGEST_STATE',  // 记录上次摘要时间的脚本属性
+  initialLookbackHours: 24,            // 首次运行（没有上次摘要时间）时汇总最近多少小时
+  maxSummaryLength: 300,               // 每条新闻摘要的最大字符数
+  documentTitle: '新闻摘要 {{date}}'
+};
+
+/**
+ * 执行时间预算与检查点配置
+ * Apps Script 单次执行上限为6分钟，运行时间达到预算后停止处理新条目，将进度（当前源、未处理的已分类条目、
+ * 累计统计）写入检查点文件，并创建一次性触发器在稍后续跑；续跑从检查点继续，不重新抓取和分类。
+ */
+const EXECUTION_CONFIG = {
+  timeBudgetSeconds: 270,           // 时间预算（秒），为单条新闻的提取和总结预留余量
+  continuationDelaySeconds: 60,     // 续跑触发器延迟（秒）
+  maxContinuations: 5,              // 单次收集最多续跑次数，超过后等待下一次常规触发
+  checkpointMaxAgeHours: 6,         // 检查点有效期（小时），过期视为失效从头开始
+  checkpointFileName: 'checkpoint_group{{group}}.json', // 检查点文件名（位于 SEEN_INDEX_CONFIG.subFolder 下）
+  runLeaseKey: 'NEWS_FEED_GROUP_RUN_LEASE', // 记录各分组正在运行的执行的脚本属性，防止同组两次执行重复处理检查点
+  runLeaseSeconds: 420              // 运行租约有效期（秒），超过单次执行上限6分钟，执行异常退出时自动失效
+};
+
+/**
+ * 时效过滤配置
+ * 条目按发布时间从新到旧排序后再筛选新新闻，超过 maxAgeHours 的条目直接跳过（RSS源可单独配置 maxAgeHours）。
+ * 发布时间支持 RFC 822、ISO 8601 以及常见中文格式（2024年5月1日 08:00、05-01 08:00、3小时前、昨天 10:00 等）。
+ */
+const FRESHNESS_CONFIG = {
+  defaultMaxAgeHours: null,   // 全局最大条目时效（小时），为null时不限制
+  undatedPolicy: 'keep',      // 无法解析发布时间的条目：'keep' 保留并排在有日期的条目之后，'skip' 跳过
+  defaultTimezone: '+08:00'   // 日期文本不含时区时使用的时区（CST 也按此时区解释）
 };
 
 /**
@@ -72,7 +251,10 @@ const STORAGE_CONFIG = {
  * 当RSS源未配置特定值时使用这些默认值
  */
 const PERFORMANCE_CONFIG = {
-  maxEntriesPerFeed: 20 // 每个RSS源目标新新闻数量（真正通过去重过滤的新闻数）
+  maxEntriesPerFeed: 20, // 每个RSS源目标新新闻数量（真正通过去重过滤的新闻数）
+  classificationBatchSize: 20, // 单次AI批量分类的标题数量
+  classificationBatchRounds: 2, // 批量分类对缺失或格式错误条目的最大提问轮数，之后回退逐条分类
+  classificationFallbackLimit: 3 // 每批最多回退逐条分类的标题数，其余记为分类失败、下次运行重新分类
 };
 
 /**
@@ -105,39 +287,142 @@ const AI_CLASSIFICATION_MODELS = [
 /**
  * AI总结模型链配置
  * Gemini lite → Groq 高吞吐 → Cerebras → DeepSeek 付费兜底。
+ * chunkChars 为该模型单次总结的最大输入字符数，正文超过时按段落分段总结再合并。
  */
 const AI_SUMMARIZATION_MODELS = [
   {
     provider: 'gemini',
-    model: 'gemini-flash-lite-latest'
+    model: 'gemini-flash-lite-latest',
+    chunkChars: 12000
   },
   {
     provider: 'gemini',
-    model: 'gemini-3.1-flash-lite'
+    model: 'gemini-3.1-flash-lite',
+    chunkChars: 12000
   },
   {
     provider: 'gemini',
-    model: 'gemini-2.5-flash-lite'
+    model: 'gemini-2.5-flash-lite',
+    chunkChars: 12000
   },
   {
     provider: 'groq',
-    model: 'llama-3.3-70b-versatile'
+    model: 'llama-3.3-70b-versatile',
+    chunkChars: 4000 // 免费档TPM较低
   },
   {
     provider: 'cerebras',
-    model: 'gemma-4-31b'
+    model: 'gemma-4-31b',
+    chunkChars: 4000
   },
   {
     provider: 'deepseek',
-    model: 'deepseek-v4-flash'
+    model: 'deepseek-v4-flash',
+    chunkChars: 12000
+  }
+];
+
+/**
+ * 长文分段总结配置
+ * 正文超过模型 chunkChars 时：按段落切分 → 逐段总结 → 由各段摘要生成最终总结。
+ */
+const SUMMARIZATION_CHUNK_CONFIG = {
+  defaultChunkChars: 6000, // 模型未配置 chunkChars 时使用的分段字符数
+  partialMaxChars: 300     // 每段摘要的字数上限
+};
+
+/**
+ * AI总结校验配置
+ * 总结返回后检查长度、markdown标记、禁用词、前缀说明和输出语言：
+ * markdown标记和前缀说明在本地清理；清理后仍不合格时带上纠正说明切换下一个模型重新总结。
+ */
+const SUMMARY_VALIDATION_CONFIG = {
+  enabled: true,
+  maxLength: 400, // 总结最大字数（不计空白字符）
+  forbiddenWords: ['记者', '监制', '作者'],
+  allowedPhrases: ['工作者', '创作者', '写作者', '合作者'], // 包含禁用词但允许出现的词语
+  // 总结开头的多余说明，如"以下是总结："、"好的，新闻摘要如下："、"总结："
+  preamblePatterns: [
+    '^(?:好的|当然|没问题)?[，,。！!\\s]*(?:以下|下面)(?:是|为)[^\\n：:。]{0,30}(?:总结|摘要|概要|要点|简洁版本)[^\\n：:。]{0,10}[：:]?\\s*',
+    '^(?:好的|当然|没问题)?[，,。！!\\s]*[^\\n：:。]{0,20}(?:总结|摘要)如下[：:]?\\s*',
+    '^(?:AI|新闻)?(?:总结|摘要|概要)[：:]\\s*'
+  ],
+  maxCorrectiveRetries: 1 // 未通过校验时带纠正说明换模型重试的次数，用尽后采用最后一次总结
+};
+
+/**
+ * 语言检测与翻译配置
+ * 按文字单位（汉字、假名、谚文按字计，拉丁字母按单词计）的占比判断语言：假名占比达到 kanaRatio 为日文，
+ * 否则取占比达到阈值的文字；文字单位过少时不判断。拉丁字母按单词计，"Apple 发布 iPhone 新品" 这类标题仍判断为中文。
+ * RSS源设置 translate 后，标题在分类前批量翻译，正文在提取后翻译，检测为目标语言的文本不翻译。
+ */
+const TRANSLATION_CONFIG = {
+  targetLanguages: { 'zh-CN': { language: 'zh', name: '简体中文' } }, // 支持的 translate 取值
+  languageNames: { zh: '中文', ja: '日文', ko: '韩文', en: '英文' },
+  minTextUnits: 2,    // 文字单位少于此值时返回 unknown
+  kanaRatio: 0.1,     // 假名占比达到此值判断为日文
+  chineseRatio: 0.5,  // 汉字占比达到此值判断为中文
+  hangulRatio: 0.3,   // 谚文占比达到此值判断为韩文
+  latinRatio: 0.5,    // 拉丁单词占比达到此值判断为英文（含其他拉丁字母语言）
+  titleBatchSize: 20  // 每次AI调用翻译的标题数
+};
+
+/**
+ * AI翻译模型链配置
+ * chunkChars 为单次翻译的最大输入字符数（译文长度与原文相近，需要比总结更小的分段）。
+ */
+const AI_TRANSLATION_MODELS = [
+  {
+    provider: 'gemini',
+    model: 'gemini-flash-lite-latest',
+    chunkChars: 4000
+  },
+  {
+    provider: 'gemini',
+    model: 'gemini-2.5-flash-lite',
+    chunkChars: 4000
+  },
+  {
+    provider: 'groq',
+    model: 'llama-3.3-70b-versatile',
+    chunkChars: 2000
+  },
+  {
+    provider: 'deepseek',
+    model: 'deepseek-v4-flash',
+    chunkChars: 4000
   }
 ];
 
 /**
- * AI模型运行内熔断状态
- * 仅在单次Apps Script执行期间生效，避免短时间内多条新闻反复撞同一个不可用模型。
+ * AI模型熔断配置
+ * 熔断状态持久化在脚本属性中，由组1-4的所有执行共享；冷却结束后进入半开状态，只放行一次探测调用，
+ * 探测成功则关闭熔断，失败则按倍数延长冷却时间。
+ */
+const AI_CIRCUIT_BREAKER_CONFIG = {
+  storageKey: 'NEWS_FEED_AI_CIRCUIT_BREAKER', // 脚本属性键名
+  refreshSeconds: 30,        // 单次执行内缓存共享状态的秒数，超过后重新读取
+  cooldownSeconds: {         // 各状态码首次熔断的冷却秒数
+    429: 60,
+    502: 15,
+    503: 15,
+    504: 15,
+    401: 6 * 60 * 60,
+    403: 6 * 60 * 60
+  },
+  backoffMultiplier: 2,      // 连续熔断时冷却时间的增长倍数
+  maxCooldownSeconds: 6 * 60 * 60, // 冷却时间上限
+  halfOpenProbeSeconds: 120  // 半开探测租约秒数，租约内只放行获得租约时的一次调用，之后所有执行继续跳过该模型
+};
+
+/**
+ * AI模型熔断状态的执行内缓存
+ * 真实状态保存在脚本属性中，这里只缓存最近一次读取结果以减少属性读取次数。
  */
-const AI_MODEL_CIRCUIT_BREAKER = {};
+const AI_MODEL_CIRCUIT_BREAKER = {
+  models: {},
+  loadedAt: 0
+};
 
 /**
  * 内容提取配置
@@ -145,47 +430,153 @@ const AI_MODEL_CIRCUIT_BREAKER = {};
 const CONTENT_CONFIG = {
   minContentLength: 30, // 最小内容长度阈值，低于此值丢弃不保存
   maxContentLength: 500, // 最大内容长度阈值，超过此值使用AI总结
-  detailPageEnabled: true // 是否启用详情页抓取
+  detailPageEnabled: true, // 是否启用详情页抓取
+  scoringExtractionEnabled: true, // 配置的选择器都未匹配时，是否按正文评分选择内容节点
+  minExtractionScore: 20,         // 评分提取的最低得分，低于此值回退到默认选择器
+  minExtractionTextLength: 100    // 评分提取的节点最少文本字符数
+};
+
+/**
+ * 正文样板清理配置
+ * 提取正文后删除开头/末尾的样板行（记者署名、责任编辑、投递致谢、关注提示等），并删除全文中的行内样板短语。
+ * RSS源可配置 boilerplateRules：数组字段追加到全局规则之后，headLines/tailLines 覆盖全局值；
+ * 设置 inheritDefaults: false 时只使用该源自己的规则。
+ *
+ * 规则字段说明：
+ * - headLines: 检查开头的非空行数
+ * - tailLines: 检查末尾的非空行数
+ * - removeLineKeywords: 检查范围内包含任一关键词的行整行删除
+ * - removeLinePatterns: 检查范围内匹配任一正则的行整行删除
+ * - stripPhrases: 全文删除的短语（不删整行）
+ * - stripPatterns: 全文删除的正则匹配内容（不删整行）
+ */
+const BOILERPLATE_CONFIG = {
+  defaultRules: {
+    headLines: 0,
+    tailLines: 5,
+    removeLineKeywords: ['记者', '监制', '作者', '仅供参考', '版权所有'],
+    removeLinePatterns: ['^责任编辑[:：]', '^[(（]?编辑[:：][^)）]*[)）]?$'],
+    stripPhrases: ['(完)', '（完）'],
+    stripPatterns: []
+  }
+  // RSS源示例：
+  // boilerplateRules: {
+  //   headLines: 3,
+  //   removeLinePatterns: ['^感谢.{1,30}的投递$', '点击.{0,10}关注'],
+  //   stripPatterns: ['\\[?查看原文\\]?']
+  // }
+};
+
+/**
+ * 关键词预过滤配置
+ * 在AI分类之前按标题匹配规则，命中的新闻直接决定保存或跳过，不再调用 AI_CLASSIFICATION_MODELS。
+ * 先判断RSS源的 keywordRules，再判断全局 rules，命中第一条即停止。
+ *
+ * 规则字段说明：
+ * - action: 'keep' 强制保留 或 'skip' 强制跳过
+ * - keywords: (可选) 关键词数组，标题包含任一关键词即命中（不区分大小写）
+ * - pattern: (可选) 正则表达式字符串，与 flags 一起构造 RegExp 匹配标题
+ * - flags: (可选) 正则标志，默认 'i'
+ * - category: (可选) 命中后记录的分类，默认保留为"其他新闻"、跳过为"关键词过滤"
+ * - description: (可选) 规则描述，用于日志
+ */
+const KEYWORD_FILTER_CONFIG = {
+  enabled: true,
+  rules: [
+    // { action: 'skip', keywords: ['体彩', '福彩', '彩票开奖'], category: '其他新闻', description: '彩票开奖' },
+    // { action: 'skip', pattern: '\\b(NBA|CBA)\\b', category: '体育新闻', description: '篮球联赛' }
+  ]
+};
+
+/**
+ * AI分类策略配置
+ * 分类与保存规则以结构化数据描述，运行时编译进分类提示词；模型只返回分类和命中的规则编号，
+ * 是否保存由代码根据策略判定。
+ *
+ * 配置字段说明：
+ * - categories: 分类列表，顺序即提示词中的候选顺序
+ *   - name: 分类名称
+ *   - save: 未命中任何规则时是否保存
+ *   - rules: (可选) 子规则数组，按顺序判断，命中第一条即停止
+ *     - description: 规则描述（写入提示词）
+ *     - save: 命中该规则时是否保存
+ * - defaultSave: 模型返回策略外分类时是否保存
+ *
+ * RSS源可通过 classificationPolicy 按分类名覆盖 save/rules，或追加新的分类，例如：
+ * classificationPolicy: { '科技新闻': { rules: [] }, '游戏新闻': { save: false } }
+ */
+const CLASSIFICATION_POLICY = {
+  categories: [
+    {
+      name: '政治新闻',
+      save: true,
+      rules: [
+        { description: '涉及日本、韩国或台湾，且仅涉及这些国家或地区的内部政治，与其他国家无关联', save: false },
+        { description: '涉及国家公职人员或国企、事业单位高管贪污腐败违纪的相关处置', save: false },
+        { description: '涉及国家工作人员的常规职务任免和人事调动', save: false }
+      ]
+    },
+    { name: '财经新闻', save: true },
+    { name: '军事新闻', save: false },
+    {
+      name: '科技新闻',
+      save: true,
+      rules: [
+        { description: '仅为某款具体的电子产品、软件、汽车本身的介绍或技术分析，不涉及该市场的商业形势、技术发展趋势或科技引发的社会现象', save: false },
+        { description: '关于某款电子游戏或以电子游戏为主要产品的公司', save: false }
+      ]
+    },
+    { name: '社会新闻', save: true },
+    { name: '娱乐新闻', save: false },
+    { name: '体育新闻', save: false },
+    { name: '天气新闻', save: true },
+    { name: '其他新闻', save: true }
+  ],
+  defaultSave: true
 };
 
 /**
- * AI分类提示词配置
+ * AI分类提示词模板
+ * {{categories}} 与 {{rules}} 由 CLASSIFICATION_POLICY 编译填充
  */
-const AI_CLASSIFICATION_PROMPT = `给定一条新闻标题，判断它属于哪类新闻，并输出保存标记。
+const AI_CLASSIFICATION_PROMPT = `给定一条新闻标题，判断它属于哪类新闻，并判断它是否命中该分类下的规则。
 
-请严格按照以下if...else逻辑执行判断：
+请严格按照以下步骤执行判断：
 
 第一步：确定新闻分类
-从以下类别中选择最匹配的一项：政治新闻、财经新闻、军事新闻、科技新闻、社会新闻、娱乐新闻、体育新闻、天气新闻、其他新闻
-
-第二步：根据分类确定保存标记
-IF 分类是 体育新闻 OR 军事新闻 OR 娱乐新闻：
-  保存标记 = 0
-ELSE IF 分类是 政治新闻：
-  IF 涉及日本、韩国或台湾，且仅涉及这些国家或地区的内部政治，与其他国家无关联：
-    保存标记 = 0
-  ELSE IF 涉及国家公职人员或国企、事业单位高管贪污腐败违纪的相关处置：
-    保存标记 = 0
-  ELSE IF 涉及国家工作人员的常规职务任免和人事调动：
-    保存标记 = 0
-  ELSE：
-    保存标记 = 1
-ELSE IF 分类是 科技新闻：
-  IF 仅为某款具体的电子产品、软件、汽车本身的介绍或技术分析，不涉及该市场的商业形势、技术发展趋势或科技引发的社会现象：
-    保存标记 = 0
-  ELSE IF 关于某款电子游戏或以电子游戏为主要产品的公司：
-    保存标记 = 0
-  ELSE：
-    保存标记 = 1
-ELSE：
-  保存标记 = 1
-
-最终输出格式：保存标记,分类
-例如：1,政治新闻 或 0,体育新闻
+从以下类别中选择最匹配的一项：{{categories}}
+
+第二步：只在所选分类的规则中按顺序判断，命中第一条即停止；该分类没有规则或全部未命中时规则编号为0
+{{rules}}
+
+最终输出格式：分类,规则编号
+例如：政治新闻,R1 或 体育新闻,0
 禁止在输出中添加任何解释或额外信息，思考过程只能放在思考标签中。
+标题后可能附带源站提供的栏目标签，仅作为判断分类的参考，以标题内容为准。
 
 新闻标题如下：`;
 
+/**
+ * AI批量分类提示词模板
+ * 与 AI_CLASSIFICATION_PROMPT 共用分类策略，标题以带编号的JSON数组追加在末尾
+ */
+const AI_BATCH_CLASSIFICATION_PROMPT = `给定一组新闻标题（每条带有编号id），逐条判断它属于哪类新闻，并判断它是否命中该分类下的规则。
+
+请对每条标题严格按照以下步骤执行判断：
+
+第一步：确定新闻分类
+从以下类别中选择最匹配的一项：{{categories}}
+
+第二步：只在所选分类的规则中按顺序判断，命中第一条即停止；该分类没有规则或全部未命中时规则编号为0
+{{rules}}
+
+最终输出JSON对象，格式：{"results":[{"id":"编号","category":"分类","rule":"规则编号"}]}
+例如：{"results":[{"id":"1","category":"政治新闻","rule":"R1"},{"id":"2","category":"体育新闻","rule":"0"}]}
+每个输入编号必须且只能出现一次，禁止输出JSON以外的任何解释或额外信息。
+部分标题带有tags字段（源站提供的栏目标签），仅作为判断分类的参考，以标题内容为准。
+
+新闻标题如下（JSON数组）：`;
+
 /**
  * AI总结提示词配置
  */
@@ -199,6 +590,49 @@ const AI_SUMMARIZATION_PROMPT = `请将以下新闻内容总结为不超过400
 
 新闻内容如下：`;
 
+/**
+ * 分段总结提示词配置（{{index}}、{{total}}、{{maxChars}} 在调用时替换）
+ */
+const AI_CHUNK_SUMMARIZATION_PROMPT = `以下是一篇长新闻的第{{index}}部分（共{{total}}部分），请提炼这一部分的要点，不超过{{maxChars}}字。要求：
+1. 只保留事实、数据、人物和时间等关键信息
+2. 不要添加个人观点或评论
+3. 只输出纯文本，不要任何前缀或解释
+
+新闻内容如下：`;
+
+/**
+ * 分段摘要合并提示词配置
+ */
+const AI_REDUCE_SUMMARIZATION_PROMPT = `以下是同一篇新闻按顺序分段提炼的要点，请合并为一篇不超过400字的简洁总结。要求：
+1. 保留新闻的核心事实和关键信息，去除各部分之间的重复内容
+2. 保持逻辑清晰，语句通顺
+3. 不要添加个人观点或评论
+4. 不要使用"记者"、"监制"、"作者"等词汇
+5. 只输出纯文本，避免任何markdown加粗、斜体或其他格式标签
+6. 直接输出总结内容，不要任何前缀或解释
+
+各部分要点如下：`;
+
+/**
+ * 正文翻译提示词配置（{{source}}、{{target}} 在调用时替换）
+ */
+const AI_TRANSLATION_PROMPT = `请将以下{{source}}新闻正文翻译为{{target}}。要求：
+1. 忠实原文，不要增删内容，不要总结或评论
+2. 保留原有的段落换行
+3. 人名、机构名等专有名词使用通行译名，没有通行译名时保留原文
+4. 只输出译文，不要任何前缀或解释
+
+原文如下：`;
+
+/**
+ * 标题批量翻译提示词配置（{{target}} 在调用时替换）
+ */
+const AI_TITLE_TRANSLATION_PROMPT = `请将以下新闻标题逐条翻译为{{target}}，只返回JSON对象，格式为：
+{"results":[{"id":"1","title":"译文"}]}
+每个输入编号必须且只能出现一次，禁止输出JSON以外的任何解释或额外信息。
+
+新闻标题如下（JSON数组）：`;
+
 // ==================== NewsUtils 命名空间（新闻业务工具函数） ====================
 
 /**
@@ -208,859 +642,4594 @@ const AI_SUMMARIZATION_PROMPT = `请将以下新闻内容总结为不超过400
  * @namespace NewsUtils
  */
 const NewsUtils = {
-
   /**
-   * RSS处理模块
+   * RSS源配置模块（表格配置优先，回退到 RSS_FEEDS）
    */
-  RSS: {
+  FeedConfig: {
     /**
-     * 获取并解析RSS/Atom内容
-     * @param {string} url - RSS源URL
-     * @param {string} feedType - 源类型 ('rss' 或 'atom')
-     * @param {number} redirectCount - 重定向计数（内部使用）
-     * @return {Array<Object>} 新闻条目数组
+     * 获取本次执行使用的RSS源列表（带执行内缓存）
+     * @param {boolean} forceRefresh - 是否忽略缓存重新读取表格
+     * @return {Array<Object>} RSS源配置数组
      */
-    fetchAndParse: function(url, feedType, redirectCount = 0) {
-      try {
-        // 验证网络工具依赖
-        if (typeof UtilsNetwork === 'undefined' || typeof UtilsNetwork.fetchXml !== 'function') {
-          throw new Error('UtilsNetwork对象或fetchXml函数不可用，请确保已部署utils_network.js文件');
-        }
+    getFeeds: function(forceRefresh = false) {
+      if (!forceRefresh && FEED_CONFIG_CACHE.feeds) {
+        return FEED_CONFIG_CACHE.feeds;
+      }
 
-        // 1. 使用通用网络工具获取RSS内容
-        const xmlText = UtilsNetwork.fetchXml(url);
+      let feeds = RSS_FEEDS;
+      let source = 'RSS_FEEDS';
 
-        // 2. 解析XML
-        const document = XmlService.parse(xmlText);
-        const root = document.getRootElement();
-        const rootName = root.getName();
-        const namespace = root.getNamespace();
+      if (FEED_SHEET_CONFIG.enabled) {
+        const result = this.loadFromSheet();
+        result.errors.forEach(message => Utils.logAction("检查RSS源表格", { name: FEED_SHEET_CONFIG.fileName, extra: message }));
 
-        // 3. 根据feedType自动检测或使用指定类型解析
-        let entries = [];
-        // 处理命名空间
-        const namespaceUri = namespace ? (namespace.getURI ? namespace.getURI() : '') : '';
-        if (feedType === 'atom' || rootName === 'feed' || namespaceUri.includes('atom')) {
-          entries = this.parseAtom(root);
+        if (result.feeds && result.feeds.length > 0) {
+          feeds = result.feeds;
+          source = `表格 ${FEED_SHEET_CONFIG.fileName}/${FEED_SHEET_CONFIG.sheetName}`;
         } else {
-          entries = this.parseRSS(root);
+          Utils.logAction("回退RSS源配置", { name: 'RSS_FEEDS', extra: `表格 ${FEED_SHEET_CONFIG.fileName}/${FEED_SHEET_CONFIG.sheetName} 不可用或没有有效行` });
         }
-
-        Utils.logAction("解析RSS内容", {
-          url: url,
-          type: feedType,
-          count: entries.length,
-          detectedType: rootName
-        });
-
-        return entries;
-
-      } catch (error) {
-        Utils.logError(error, `获取或解析RSS: ${url}`);
-        return []; // 返回空数组，主函数会跳过错误
       }
+
+      FEED_CONFIG_CACHE.feeds = feeds;
+      FEED_CONFIG_CACHE.source = source;
+      Utils.logAction("加载RSS源配置", { name: source, extra: `共 ${feeds.length} 个RSS源` });
+      return feeds;
     },
 
     /**
-     * 解析RSS 2.0格式
-     * @param {XmlService.Element} root - XML根元素
-     * @return {Array<Object>} 新闻条目数组
+     * 读取并校验RSS源表格
+     * @return {Object} { feeds: Array<Object>|null, errors: Array<string> }，表格不可读或表头无效时 feeds 为null
      */
-    parseRSS: function(root) {
-      const entries = [];
-      const channel = root.getChild('channel', root.getNamespace());
+    loadFromSheet: function() {
+      if (typeof UtilsGoogleSheets === 'undefined') {
+        return { feeds: null, errors: ['UtilsGoogleSheets对象不可用，请确保已部署utils_google_sheets.js文件'] };
+      }
 
-      if (!channel) return entries;
+      const rows = UtilsGoogleSheets.readSheetByFileName(FEED_SHEET_CONFIG.fileName, FEED_SHEET_CONFIG.sheetName, FEED_SHEET_CONFIG.range);
+      if (!rows || rows.length === 0) {
+        return { feeds: null, errors: [] };
+      }
 
-      const items = channel.getChildren('item', channel.getNamespace());
+      const header = rows[0].map(cell => String(cell).trim());
+      const missingColumns = FEED_SHEET_SCHEMA
+        .filter(column => column.required && header.indexOf(column.column) === -1)
+        .map(column => column.column);
+      if (missingColumns.length > 0) {
+        return { feeds: null, errors: [`表头缺少必填列: ${missingColumns.join(', ')}`] };
+      }
 
-      items.forEach(item => {
-        const entry = {
-          title: this.getElementText(item, 'title'),
-          link: this.getElementText(item, 'link'),
-          description: this.getElementText(item, 'description'),
-          pubDate: this.getElementText(item, 'pubDate'),
-          guid: this.getElementText(item, 'guid'),
-          'content:encoded': this.getElementText(item, 'encoded', XmlService.getNamespace('http://purl.org/rss/1.0/modules/content/'))
-        };
-        entries.push(entry);
-      });
+      const feeds = [];
+      const errors = [];
+      const seenUrls = {};
 
-      return entries;
+      for (let index = 1; index < rows.length; index++) {
+        const row = rows[index];
+        if (row.every(cell => String(cell).trim() === '')) {
+          continue;
+        }
+
+        const result = this.parseRow(header, row);
+        const rowLabel = `第${index + 1}行${result.feed.name ? `（${result.feed.name}）` : ''}`;
+        if (result.errors.length > 0) {
+          errors.push(`${rowLabel}: ${result.errors.join('；')}，已跳过`);
+          continue;
+        }
+        if (seenUrls[result.feed.url]) {
+          errors.push(`${rowLabel}: url 与第${seenUrls[result.feed.url]}行重复，已跳过`);
+          continue;
+        }
+        seenUrls[result.feed.url] = index + 1;
+
+        if (result.feed.enabled === false) {
+          continue;
+        }
+        delete result.feed.enabled;
+        feeds.push(this.mergeWithCodeConfig(result.feed));
+      }
+
+      return { feeds: feeds, errors: errors };
     },
 
     /**
-     * 解析Atom 1.0格式
-     * @param {XmlService.Element} root - XML根元素
-     * @return {Array<Object>} 新闻条目数组
+     * 按 FEED_SHEET_SCHEMA 解析并校验一行
+     * @param {Array<string>} header - 表头列名
+     * @param {Array<*>} row - 单元格值
+     * @return {Object} { feed, errors }
      */
-    parseAtom: function(root) {
-      const entries = [];
-      const atomNs = XmlService.getNamespace('http://www.w3.org/2005/Atom');
-
-      const items = root.getChildren('entry', atomNs);
+    parseRow: function(header, row) {
+      const feed = {};
+      const errors = [];
+
+      FEED_SHEET_SCHEMA.forEach(column => {
+        const columnIndex = header.indexOf(column.column);
+        const raw = columnIndex === -1 ? '' : row[columnIndex];
+        const isEmpty = raw === null || raw === undefined || String(raw).trim() === '';
+
+        if (isEmpty) {
+          if (column.required) {
+            errors.push(`${column.column} 不能为空`);
+          } else if (column.defaultValue !== undefined) {
+            this.setField(feed, column.field, column.defaultValue);
+          }
+          return;
+        }
 
-      items.forEach(item => {
-        const entry = {
-          title: this.getElementText(item, 'title', atomNs),
-          link: this.getLink(item, atomNs),
-          summary: this.getElementText(item, 'summary', atomNs),
-          content: this.getElementText(item, 'content', atomNs),
-          published: this.getElementText(item, 'published', atomNs),
-          updated: this.getElementText(item, 'updated', atomNs),
-          id: this.getElementText(item, 'id', atomNs)
-        };
-        entries.push(entry);
+        try {
+          this.setField(feed, column.field, this.parseCell(column, raw));
+        } catch (error) {
+          errors.push(`${column.column} ${error.message}`);
+        }
       });
 
-      return entries;
+      return { feed: feed, errors: errors };
     },
 
     /**
-     * 获取元素的文本内容
-     * @param {XmlService.Element} parent - 父元素
-     * @param {string} childName - 子元素名称
-     * @param {XmlService.Namespace} namespace - 命名空间（可选）
-     * @return {string} 文本内容或空字符串
+     * 按列类型转换单元格值
+     * @param {Object} column - FEED_SHEET_SCHEMA 中的列定义
+     * @param {*} raw - 单元格原始值（非空）
+     * @return {*} 转换后的值，无效时抛出错误
      */
-    getElementText: function(parent, childName, namespace = null) {
-      const child = namespace ?
-        parent.getChild(childName, namespace) :
-        parent.getChild(childName, parent.getNamespace());
-      return child ? child.getText() : '';
+    parseCell: function(column, raw) {
+      const text = String(raw).trim();
+      const splitList = value => value.split(/[,，;；、\n]/).map(item => item.trim()).filter(item => item.length > 0);
+
+      switch (column.type) {
+        case 'url':
+          if (!/^https?:\/\/\S+$/i.test(text)) {
+            throw new Error(`不是有效的http(s)地址: ${text}`);
+          }
+          return text;
+        case 'enum': {
+          const value = text.toLowerCase();
+          if (column.values.indexOf(value) === -1) {
+            throw new Error(`必须是 ${column.values.join('/')} 之一，实际为: ${text}`);
+          }
+          return value;
+        }
+        case 'integer':
+          if (!/^\d+$/.test(text) || Number(text) <= 0) {
+            throw new Error(`必须是正整数，实际为: ${text}`);
+          }
+          return Number(text);
+        case 'integerList': {
+          const values = splitList(text);
+          if (values.length === 0 || values.some(value => !/^\d+$/.test(value) || Number(value) <= 0)) {
+            throw new Error(`必须是以逗号分隔的正整数，实际为: ${text}`);
+          }
+          return values.map(Number);
+        }
+        case 'list':
+          return splitList(text);
+        case 'boolean': {
+          if (raw === true || raw === false) {
+            return raw;
+          }
+          const value = text.toLowerCase();
+          if (['true', '是', 'yes', 'y', '1'].indexOf(value) !== -1) {
+            return true;
+          }
+          if (['false', '否', 'no', 'n', '0'].indexOf(value) !== -1) {
+            return false;
+          }
+          throw new Error(`必须是 TRUE/FALSE，实际为: ${text}`);
+        }
+        default:
+          return text;
+      }
     },
 
     /**
-     * 获取Atom条目中的链接（优先获取alternate类型的链接）
-     * @param {XmlService.Element} entry - Atom条目元素
-     * @param {XmlService.Namespace} atomNs - Atom命名空间
-     * @return {string} 链接URL或空字符串
+     * 写入字段，支持 detailPageConfig.selectors 形式的嵌套路径
+     * @private
      */
-    getLink: function(entry, atomNs) {
-      const links = entry.getChildren('link', atomNs);
-      for (const link of links) {
-        const rel = link.getAttribute('rel');
-        if (!rel || rel.getValue() === 'alternate') {
-          const href = link.getAttribute('href');
-          return href ? href.getValue() : '';
-        }
-      }
+    setField: function(target, path, value) {
+      const parts = path.split('.');
+      const last = parts.pop();
+      const parent = parts.reduce((object, key) => (object[key] = object[key] || {}), target);
+      parent[last] = value;
+    },
+
+    /**
+     * 按 FEED_SHEET_SCHEMA 将RSS源配置转换为单元格文本，未设置的字段不包含在结果中
+     * @param {Object} feed - RSS源配置
+     * @return {Object} 以列名为key的单元格文本
+     */
+    toCellValues: function(feed) {
+      const values = {};
+      FEED_SHEET_SCHEMA.forEach(column => {
+        const value = column.field.split('.').reduce((object, key) => (object ? object[key] : undefined), feed);
+        if (value === undefined || value === null) {
+          return;
+        }
+
+        if (column.type === 'list' || column.type === 'integerList') {
+          values[column.column] = value.join(', ');
+        } else if (column.type === 'boolean') {
+          values[column.column] = value ? 'TRUE' : 'FALSE';
+        } else {
+          values[column.column] = String(value);
+        }
+      });
+      return values;
+    },
+
+    /**
+     * 规范化单元格文本用于比较（例如 "1,3" 与 "1, 3" 视为相同），无法解析时返回原文本
+     * @private
+     */
+    normalizeCellText: function(column, raw) {
+      const text = String(raw === null || raw === undefined ? '' : raw).trim();
+      if (text === '') {
+        return '';
+      }
+
+      try {
+        const cellValues = {};
+        this.setField(cellValues, column.field, this.parseCell(column, raw));
+        return this.toCellValues(cellValues)[column.column];
+      } catch (error) {
+        return text;
+      }
+    },
+
+    /**
+     * 按URL将RSS源合并到RSS源表格：已有行只覆盖导入时设置了的字段，新的RSS源追加到表尾
+     * @param {Array<Object>} feeds - 待合并的RSS源配置
+     * @return {Object|null} { added, updated, unchanged }（RSS源名称数组），表格配置未启用、表格不可用或写入失败时返回null
+     */
+    mergeIntoSheet: function(feeds) {
+      // 表格配置未启用时 getFeeds() 不读取表格，写入表格不会生效
+      if (!FEED_SHEET_CONFIG.enabled || typeof UtilsGoogleSheets === 'undefined') {
+        return null;
+      }
+
+      const rows = UtilsGoogleSheets.readSheetByFileName(FEED_SHEET_CONFIG.fileName, FEED_SHEET_CONFIG.sheetName, FEED_SHEET_CONFIG.range);
+      if (!rows || rows.length === 0) {
+        return null;
+      }
+
+      // 补齐缺少的列（接在最后一个非空表头之后，保证仍在读取范围内），去掉读取范围末尾的空行
+      const header = rows[0].map(cell => String(cell).trim());
+      while (header.length > 0 && header[header.length - 1] === '') {
+        header.pop();
+      }
+      FEED_SHEET_SCHEMA.forEach(column => {
+        if (header.indexOf(column.column) === -1) {
+          header.push(column.column);
+        }
+      });
+      const dataRows = rows.slice(1).map(row => header.map((_, index) => (row[index] === undefined ? '' : row[index])));
+      while (dataRows.length > 0 && dataRows[dataRows.length - 1].every(cell => String(cell).trim() === '')) {
+        dataRows.pop();
+      }
+
+      const urlIndex = header.indexOf('url');
+      const report = { added: [], updated: [], unchanged: [] };
+
+      feeds.forEach(feed => {
+        const values = this.toCellValues(feed);
+        const row = dataRows.find(candidate => String(candidate[urlIndex]).trim() === feed.url);
+
+        if (!row) {
+          dataRows.push(header.map(column => (values[column] === undefined ? '' : values[column])));
+          report.added.push(feed.name);
+          return;
+        }
+
+        let changed = false;
+        FEED_SHEET_SCHEMA.forEach(column => {
+          const index = header.indexOf(column.column);
+          if (values[column.column] !== undefined && this.normalizeCellText(column, row[index]) !== values[column.column]) {
+            row[index] = values[column.column];
+            changed = true;
+          }
+        });
+        (changed ? report.updated : report.unchanged).push(feed.name);
+      });
+
+      if (report.added.length + report.updated.length > 0) {
+        const success = UtilsGoogleSheets.updateSheetWithAutoRange(FEED_SHEET_CONFIG.fileName, FEED_SHEET_CONFIG.sheetName, 'A1', [header].concat(dataRows));
+        if (!success) {
+          return null;
+        }
+        FEED_CONFIG_CACHE.feeds = null;
+      }
+
+      return report;
+    },
+
+    /**
+     * 与 RSS_FEEDS 中同URL的源合并，表格字段优先
+     * @param {Object} sheetFeed - 表格解析出的RSS源配置
+     * @return {Object} 合并后的RSS源配置
+     */
+    mergeWithCodeConfig: function(sheetFeed) {
+      const codeFeed = RSS_FEEDS.find(feed => feed.url === sheetFeed.url);
+      if (!codeFeed) {
+        return sheetFeed;
+      }
+
+      const merged = Object.assign({}, codeFeed, sheetFeed);
+      if (codeFeed.detailPageConfig || sheetFeed.detailPageConfig) {
+        merged.detailPageConfig = Object.assign({}, codeFeed.detailPageConfig, sheetFeed.detailPageConfig);
+      }
+      return merged;
+    }
+  },
+
+
+  /**
+   * RSS处理模块
+   */
+  RSS: {
+    /**
+     * 获取并解析RSS/Atom内容
+     * @param {string} url - RSS源URL
+     * @param {string} feedType - 源类型 ('rss' 或 'atom')
+     * @param {number} redirectCount - 重定向计数（内部使用）
+     * @return {Array<Object>} 新闻条目数组
+     */
+    fetchAndParse: function(url, feedType, redirectCount = 0) {
+      return this.fetchFeed(url, feedType).entries;
+    },
+
+    /**
+     * 获取并解析RSS/Atom内容，同时返回抓取结果（用于记录源健康状态）
+     * 传入上次的验证器时发起条件请求，服务器返回304表示没有新条目，不再解析。
+     * @param {string} url - RSS源URL
+     * @param {string} feedType - 源类型 ('rss' 或 'atom')
+     * @param {Object} validators - 上次响应的 { etag, lastModified }（可选）
+     * @return {Object} 抓取结果 { success, notModified, entries, detectedType, httpStatus, errorType('fetch'|'parse'|null), error, validators }
+     */
+    fetchFeed: function(url, feedType, validators) {
+      let xmlText;
+      let responseValidators = null;
+      try {
+        // 验证网络工具依赖
+        if (typeof UtilsNetwork === 'undefined' || typeof UtilsNetwork.fetchXmlConditional !== 'function') {
+          throw new Error('UtilsNetwork对象或fetchXmlConditional函数不可用，请确保已部署utils_network.js文件');
+        }
+
+        // 1. 使用通用网络工具获取RSS内容（条件请求）
+        const response = UtilsNetwork.fetchXmlConditional(url, validators, {
+          headers: { 'Accept': 'application/rss+xml,application/atom+xml,application/rdf+xml,application/feed+json,application/xml,text/xml,application/json;q=0.9' }
+        });
+        if (response.notModified) {
+          Utils.logAction("RSS源未更新", { name: url, extra: "HTTP 304，跳过解析" });
+          return {
+            success: true,
+            notModified: true,
+            entries: [],
+            httpStatus: 304,
+            errorType: null,
+            error: null,
+            validators: response.validators
+          };
+        }
+        xmlText = response.content;
+        responseValidators = response.validators;
+      } catch (error) {
+        Utils.logError(error, `获取RSS: ${url}`);
+        const statusMatch = String(error.message || '').match(/HTTP (\d{3})/);
+        return {
+          success: false,
+          notModified: false,
+          entries: [],
+          httpStatus: statusMatch ? Number(statusMatch[1]) : null,
+          errorType: 'fetch',
+          error: error.message
+        };
+      }
+
+      try {
+        // 2. 根据feedType或内容自动检测格式并解析
+        const parsed = this.parseFeedText(xmlText, feedType);
+        const entries = parsed.entries;
+
+        Utils.logAction("解析RSS内容", {
+          url: url,
+          type: feedType,
+          count: entries.length,
+          detectedType: parsed.detectedType
+        });
+
+        return {
+          success: true,
+          notModified: false,
+          entries: entries,
+          detectedType: parsed.detectedType,
+          httpStatus: 200,
+          errorType: null,
+          error: null,
+          validators: responseValidators
+        };
+
+      } catch (error) {
+        Utils.logError(error, `解析RSS: ${url}`);
+        // 返回空条目，主函数会跳过该源
+        return { success: false, notModified: false, entries: [], httpStatus: 200, errorType: 'parse', error: error.message };
+      }
+    },
+
+    /**
+     * 检测源格式并解析为统一的条目结构
+     * JSON Feed 按 feedType 或内容以"{"开头识别；XML按根元素识别 RDF（RSS 1.0）、Atom，其余按 RSS 2.0 解析。
+     * @param {string} text - 源内容
+     * @param {string} feedType - 源类型 ('rss'、'atom'、'rdf' 或 'jsonfeed')
+     * @return {Object} { entries, detectedType('rss'|'atom'|'rdf'|'jsonfeed') }
+     */
+    parseFeedText: function(text, feedType) {
+      const content = String(text || '').replace(/^\uFEFF/, '');
+
+      if (feedType === 'jsonfeed' || /^\s*\{/.test(content)) {
+        return { entries: this.parseJsonFeed(JSON.parse(content)), detectedType: 'jsonfeed' };
+      }
+
+      // 解析XML
+      const document = XmlService.parse(content);
+      const root = document.getRootElement();
+      const rootName = root.getName();
+      const namespace = root.getNamespace();
+
+      // 处理命名空间
+      const namespaceUri = namespace ? (namespace.getURI ? namespace.getURI() : '') : '';
+      if (rootName === 'RDF' || (feedType === 'rdf' && rootName !== 'rss' && rootName !== 'feed')) {
+        return { entries: this.parseRDF(root), detectedType: 'rdf' };
+      }
+      if (feedType === 'atom' || rootName === 'feed' || namespaceUri.includes('atom')) {
+        return { entries: this.parseAtom(root), detectedType: 'atom' };
+      }
+      return { entries: this.parseRSS(root), detectedType: 'rss' };
+    },
+
+    /**
+     * 解析RSS 1.0（RDF）格式：item 与 channel 同级，直接位于 rdf:RDF 根元素下
+     * @param {XmlService.Element} root - XML根元素
+     * @return {Array<Object>} 新闻条目数组（结构同 parseRSS）
+     */
+    parseRDF: function(root) {
+      const rdfNs = XmlService.getNamespace('rdf', 'http://www.w3.org/1999/02/22-rdf-syntax-ns#');
+      const dcNs = XmlService.getNamespace('dc', 'http://purl.org/dc/elements/1.1/');
+
+      // 不同版本的RDF源使用不同的默认命名空间（RSS 1.0 / 0.90），按元素名匹配
+      const items = root.getChildren().filter(child => child.getName() === 'item');
+
+      return items.map(item => {
+        const about = item.getAttribute('about', rdfNs);
+        const pubDate = this.getElementText(item, 'date', dcNs);
+        const media = this.getMedia(item);
+        return {
+          title: this.getElementText(item, 'title'),
+          link: this.getElementText(item, 'link'),
+          description: this.getElementText(item, 'description'),
+          pubDate: pubDate,
+          guid: about ? about.getValue() : '',
+          'content:encoded': this.getElementText(item, 'encoded', XmlService.getNamespace('http://purl.org/rss/1.0/modules/content/')),
+          author: this.getElementText(item, 'creator', dcNs),
+          categories: this.uniqueTexts(this.getChildrenText(item, 'subject', dcNs)),
+          publishedAt: this.parseDate(pubDate),
+          images: media.images,
+          enclosures: media.enclosures
+        };
+      });
+    },
+
+    /**
+     * 解析JSON Feed（1.0 / 1.1）格式
+     * @param {Object} data - 解析后的JSON对象
+     * @return {Array<Object>} 新闻条目数组（结构同 parseRSS）
+     */
+    parseJsonFeed: function(data) {
+      if (!data || !Array.isArray(data.items)) {
+        throw new Error('JSON Feed缺少items数组');
+      }
+
+      return data.items.filter(item => item && typeof item === 'object').map(item => {
+        const authors = Array.isArray(item.authors) ? item.authors : (item.author ? [item.author] : []);
+        const attachments = Array.isArray(item.attachments) ? item.attachments : [];
+        const enclosures = attachments.filter(attachment => attachment && attachment.url).map(attachment => ({
+          url: attachment.url,
+          type: attachment.mime_type || '',
+          length: Number(attachment.size_in_bytes) || 0
+        }));
+        const pubDate = item.date_published || item.date_modified || '';
+
+        return {
+          title: item.title || '',
+          link: item.url || item.external_url || '',
+          description: item.summary || item.content_text || '',
+          pubDate: pubDate,
+          guid: item.id === undefined || item.id === null ? '' : String(item.id),
+          'content:encoded': item.content_html || item.content_text || '',
+          author: authors.map(author => author && author.name).filter(Boolean).join(', '),
+          categories: this.uniqueTexts(Array.isArray(item.tags) ? item.tags : []),
+          publishedAt: this.parseDate(pubDate),
+          images: this.uniqueTexts([item.image, item.banner_image]
+            .concat(enclosures.filter(enclosure => /^image\//i.test(enclosure.type)).map(enclosure => enclosure.url))),
+          enclosures: enclosures
+        };
+      });
+    },
+
+    /**
+     * 解析RSS 2.0格式
+     * @param {XmlService.Element} root - XML根元素
+     * @return {Array<Object>} 新闻条目数组
+     */
+    parseRSS: function(root) {
+      const entries = [];
+      const channel = root.getChild('channel', root.getNamespace());
+
+      if (!channel) return entries;
+
+      const items = channel.getChildren('item', channel.getNamespace());
+
+      const dcNs = XmlService.getNamespace('dc', 'http://purl.org/dc/elements/1.1/');
+
+      items.forEach(item => {
+        const entry = {
+          title: this.getElementText(item, 'title'),
+          link: this.getElementText(item, 'link'),
+          description: this.getElementText(item, 'description'),
+          pubDate: this.getElementText(item, 'pubDate'),
+          guid: this.getElementText(item, 'guid'),
+          'content:encoded': this.getElementText(item, 'encoded', XmlService.getNamespace('http://purl.org/rss/1.0/modules/content/'))
+        };
+
+        // 扩展命名空间：dc:creator / dc:date / dc:subject、category、media:*、enclosure
+        const media = this.getMedia(item);
+        entries.push(Object.assign(entry, {
+          author: this.getElementText(item, 'creator', dcNs) || this.getElementText(item, 'author'),
+          categories: this.uniqueTexts(this.getChildrenText(item, 'category').concat(this.getChildrenText(item, 'subject', dcNs))),
+          publishedAt: this.parseDate(entry.pubDate || this.getElementText(item, 'date', dcNs)),
+          images: media.images,
+          enclosures: media.enclosures
+        }));
+      });
+
+      return entries;
+    },
+
+    /**
+     * 解析Atom 1.0格式
+     * @param {XmlService.Element} root - XML根元素
+     * @return {Array<Object>} 新闻条目数组
+     */
+    parseAtom: function(root) {
+      const entries = [];
+      const atomNs = XmlService.getNamespace('http://www.w3.org/2005/Atom');
+
+      const items = root.getChildren('entry', atomNs);
+
+      items.forEach(item => {
+        const entry = {
+          title: this.getElementText(item, 'title', atomNs),
+          link: this.getLink(item, atomNs),
+          summary: this.getElementText(item, 'summary', atomNs),
+          content: this.getElementText(item, 'content', atomNs),
+          published: this.getElementText(item, 'published', atomNs),
+          updated: this.getElementText(item, 'updated', atomNs),
+          id: this.getElementText(item, 'id', atomNs)
+        };
+
+        // 扩展字段：author/name、category@term、link[rel=enclosure]、media:*
+        const authorElement = item.getChild('author', atomNs);
+        const media = this.getMedia(item, atomNs);
+        entries.push(Object.assign(entry, {
+          author: authorElement ? this.getElementText(authorElement, 'name', atomNs) : '',
+          categories: this.uniqueTexts(item.getChildren('category', atomNs).map(category => this.getAttributeValue(category, 'term') || this.getAttributeValue(category, 'label'))),
+          publishedAt: this.parseDate(entry.published || entry.updated),
+          images: media.images,
+          enclosures: media.enclosures
+        }));
+      });
+
+      return entries;
+    },
+
+    /**
+     * 获取元素的文本内容
+     * @param {XmlService.Element} parent - 父元素
+     * @param {string} childName - 子元素名称
+     * @param {XmlService.Namespace} namespace - 命名空间（可选）
+     * @return {string} 文本内容或空字符串
+     */
+    getElementText: function(parent, childName, namespace = null) {
+      const child = namespace ?
+        parent.getChild(childName, namespace) :
+        parent.getChild(childName, parent.getNamespace());
+      return child ? child.getText() : '';
+    },
+
+    /**
+     * 获取所有同名子元素的文本内容
+     * @param {XmlService.Element} parent - 父元素
+     * @param {string} childName - 子元素名称
+     * @param {XmlService.Namespace} namespace - 命名空间（可选，默认使用父元素的命名空间）
+     * @return {Array<string>} 文本数组
+     */
+    getChildrenText: function(parent, childName, namespace = null) {
+      return parent.getChildren(childName, namespace || parent.getNamespace()).map(child => child.getText());
+    },
+
+    /**
+     * 获取元素的属性值
+     * @param {XmlService.Element} element - 元素
+     * @param {string} name - 属性名称
+     * @return {string} 属性值或空字符串
+     */
+    getAttributeValue: function(element, name) {
+      const attribute = element.getAttribute(name);
+      return attribute ? attribute.getValue() : '';
+    },
+
+    /**
+     * 去除空白项并去重（保持原有顺序）
+     * @param {Array<string>} values - 文本数组
+     * @return {Array<string>} 处理后的数组
+     */
+    uniqueTexts: function(values) {
+      return Array.from(new Set(values.map(value => String(value || '').trim()).filter(value => value.length > 0)));
+    },
+
+    /**
+     * 解析条目的发布时间
+     * 依次尝试：中文相对时间（刚刚、3小时前、昨天 10:00）、ISO 8601 及数字/中文日期（2024-05-01 08:00、2024年5月1日、05-01 08:00）、
+     * RFC 822（Mon, 01 Jan 2024 08:00:00 +0800），最后回退到 Date 构造函数；不含时区时按 FRESHNESS_CONFIG.defaultTimezone 解释。
+     * @param {string} text - 日期文本
+     * @return {Date|null} 日期对象，无法解析时返回null
+     */
+    parseDate: function(text) {
+      const value = String(text || '').trim().replace(/\s+/g, ' ');
+      if (value.length === 0) {
+        return null;
+      }
+
+      const defaultOffset = this.normalizeTimezone(FRESHNESS_CONFIG.defaultTimezone) || '+08:00';
+      const now = Date.now();
+
+      // 1. 中文相对时间
+      if (value === '刚刚') {
+        return new Date(now);
+      }
+      let match = value.match(/^(\d+)\s*(秒|分钟|小时|天)前$/);
+      if (match) {
+        const unitMs = { '秒': 1000, '分钟': 60 * 1000, '小时': 60 * 60 * 1000, '天': 24 * 60 * 60 * 1000 }[match[2]];
+        return new Date(now - Number(match[1]) * unitMs);
+      }
+      match = value.match(/^(今天|昨天|前天) ?(\d{1,2})[:：](\d{2})$/);
+      if (match) {
+        const dayOffset = { '今天': 0, '昨天': 1, '前天': 2 }[match[1]];
+        const today = this.getDateParts(now, defaultOffset);
+        const date = this.buildDate(today.year, today.month, today.day, match[2], match[3], 0, defaultOffset);
+        return date ? new Date(date.getTime() - dayOffset * 24 * 60 * 60 * 1000) : null;
+      }
+
+      // 2. ISO 8601 及数字/中文日期（年份可省略）
+      match = value.match(/^(?:(\d{4}) ?[-\/.年] ?)?(\d{1,2}) ?[-\/.月] ?(\d{1,2}) ?日?(?:(?:T| ?)(\d{1,2})[:：时](\d{1,2})(?:[:：分](\d{1,2})(?:\.\d+)?秒?|分)?)? ?(Z|[+-]\d{2}:?\d{2}|GMT|UTC)?$/i);
+      if (match) {
+        const offset = this.normalizeTimezone(match[7]) || defaultOffset;
+        if (match[1]) {
+          return this.buildDate(match[1], match[2], match[3], match[4], match[5], match[6], offset);
+        }
+
+        // 省略年份时取当前年份，得到的时间明显晚于现在则视为去年
+        const year = this.getDateParts(now, offset).year;
+        const date = this.buildDate(year, match[2], match[3], match[4], match[5], match[6], offset);
+        return date && date.getTime() > now + 24 * 60 * 60 * 1000
+          ? this.buildDate(year - 1, match[2], match[3], match[4], match[5], match[6], offset)
+          : date;
+      }
+
+      // 3. RFC 822 / RFC 2822
+      match = value.match(/^(?:[A-Za-z]{3,9},? ?)?(\d{1,2}) ([A-Za-z]{3})[a-z]*\.? (\d{2,4}) (\d{1,2}):(\d{2})(?::(\d{2}))? ?([A-Za-z]{1,5}|[+-]\d{2}:?\d{2})?$/);
+      if (match) {
+        const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(match[2].toLowerCase()) + 1;
+        const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+        if (month > 0) {
+          return this.buildDate(year, month, match[1], match[4], match[5], match[6], this.normalizeTimezone(match[7]) || defaultOffset);
+        }
+      }
+
+      // 4. 其他格式交给Date构造函数
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * 将时区文本规范化为 ±HH:MM
+     * @param {string} zone - 时区（Z、GMT、UTC、+0800、+08:00、EST、CST 等）
+     * @return {string|null} 规范化的时区偏移，无法识别时返回null
+     */
+    normalizeTimezone: function(zone) {
+      if (!zone) {
+        return null;
+      }
+
+      const namedZones = {
+        Z: '+00:00', GMT: '+00:00', UT: '+00:00', UTC: '+00:00',
+        EST: '-05:00', EDT: '-04:00', MST: '-07:00', MDT: '-06:00', PST: '-08:00', PDT: '-07:00',
+        CST: FRESHNESS_CONFIG.defaultTimezone, // 中文源中的CST通常指中国标准时间
+        HKT: '+08:00', JST: '+09:00', KST: '+09:00'
+      };
+      const upperZone = String(zone).toUpperCase();
+      if (namedZones[upperZone]) {
+        return namedZones[upperZone];
+      }
+
+      const match = upperZone.match(/^([+-])(\d{2}):?(\d{2})$/);
+      return match ? `${match[1]}${match[2]}:${match[3]}` : null;
+    },
+
+    /**
+     * 按年月日时分秒和时区偏移构造日期，并校验各字段有效（例如2月30日无效）
+     * @private
+     */
+    buildDate: function(year, month, day, hour, minute, second, offset) {
+      const pad = value => String(Number(value || 0)).padStart(2, '0');
+      const date = new Date(`${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}${offset}`);
+      if (isNaN(date.getTime())) {
+        return null;
+      }
+
+      // Date会把溢出的日期顺延（2月30日 → 3月2日），按原时区还原后比对
+      const parts = this.getDateParts(date.getTime(), offset);
+      return parts.month === Number(month) && parts.day === Number(day) ? date : null;
+    },
+
+    /**
+     * 获取时间戳在指定时区下的年月日
+     * @private
+     */
+    getDateParts: function(timestamp, offset) {
+      const match = offset.match(/^([+-])(\d{2}):(\d{2})$/);
+      const offsetMs = (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) * 60 * 1000;
+      const shifted = new Date(timestamp + offsetMs);
+      return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+    },
+
+    /**
+     * 按发布时间从新到旧排序，并按时效和无日期策略过滤
+     * @param {Array<Object>} entries - 新闻条目数组（含 publishedAt）
+     * @param {Object} feedConfig - RSS源配置（可选，读取 maxAgeHours、undatedPolicy）
+     * @return {Object} { entries, staleCount, undatedCount, skippedUndatedCount }
+     */
+    sortAndFilterByFreshness: function(entries, feedConfig) {
+      const maxAgeHours = feedConfig && feedConfig.maxAgeHours !== undefined ? feedConfig.maxAgeHours : FRESHNESS_CONFIG.defaultMaxAgeHours;
+      const undatedPolicy = (feedConfig && feedConfig.undatedPolicy) || FRESHNESS_CONFIG.undatedPolicy;
+      const cutoff = maxAgeHours ? Date.now() - maxAgeHours * 60 * 60 * 1000 : null;
+
+      const dated = entries.filter(entry => entry.publishedAt instanceof Date && !isNaN(entry.publishedAt.getTime()));
+      const undated = entries.filter(entry => dated.indexOf(entry) === -1);
+      const fresh = dated.filter(entry => cutoff === null || entry.publishedAt.getTime() >= cutoff);
+
+      // Array.prototype.sort 在V8中是稳定排序，同一时间的条目保持源中顺序
+      fresh.sort((a, b) => b.publishedAt.getTime() - a.publishedAt.getTime());
+
+      return {
+        entries: undatedPolicy === 'skip' ? fresh : fresh.concat(undated),
+        staleCount: dated.length - fresh.length,
+        undatedCount: undated.length,
+        skippedUndatedCount: undatedPolicy === 'skip' ? undated.length : 0
+      };
+    },
+
+    /**
+     * 提取条目的图片和附件：media:content / media:thumbnail（含 media:group 内）、RSS enclosure、Atom link[rel=enclosure]
+     * @param {XmlService.Element} item - 条目元素
+     * @param {XmlService.Namespace} atomNs - Atom命名空间（仅Atom条目传入）
+     * @return {Object} { images: Array<string>, enclosures: Array<{url, type, length}> }
+     */
+    getMedia: function(item, atomNs = null) {
+      const mediaNs = XmlService.getNamespace('media', 'http://search.yahoo.com/mrss/');
+      const images = [];
+      const enclosures = [];
+      const isImage = (type, medium) => medium === 'image' || /^image\//i.test(type || '');
+
+      const mediaParents = [item].concat(item.getChildren('group', mediaNs));
+      mediaParents.forEach(parent => {
+        parent.getChildren('content', mediaNs).forEach(content => {
+          const url = this.getAttributeValue(content, 'url');
+          if (url && isImage(this.getAttributeValue(content, 'type'), this.getAttributeValue(content, 'medium'))) {
+            images.push(url);
+          }
+        });
+        parent.getChildren('thumbnail', mediaNs).forEach(thumbnail => images.push(this.getAttributeValue(thumbnail, 'url')));
+      });
+
+      const enclosureElements = atomNs
+        ? item.getChildren('link', atomNs).filter(link => this.getAttributeValue(link, 'rel') === 'enclosure')
+        : item.getChildren('enclosure', item.getNamespace());
+      enclosureElements.forEach(element => {
+        const enclosure = {
+          url: this.getAttributeValue(element, atomNs ? 'href' : 'url'),
+          type: this.getAttributeValue(element, 'type'),
+          length: Number(this.getAttributeValue(element, 'length')) || 0
+        };
+        if (!enclosure.url) {
+          return;
+        }
+        enclosures.push(enclosure);
+        if (isImage(enclosure.type)) {
+          images.push(enclosure.url);
+        }
+      });
+
+      return { images: this.uniqueTexts(images), enclosures: enclosures };
+    },
+
+    /**
+     * 获取Atom条目中的链接（优先获取alternate类型的链接）
+     * @param {XmlService.Element} entry - Atom条目元素
+     * @param {XmlService.Namespace} atomNs - Atom命名空间
+     * @return {string} 链接URL或空字符串
+     */
+    getLink: function(entry, atomNs) {
+      const links = entry.getChildren('link', atomNs);
+      for (const link of links) {
+        const rel = link.getAttribute('rel');
+        if (!rel || rel.getValue() === 'alternate') {
+          const href = link.getAttribute('href');
+          return href ? href.getValue() : '';
+        }
+      }
       // 如果没有alternate链接，返回第一个链接
       if (links.length > 0) {
         const href = links[0].getAttribute('href');
         return href ? href.getValue() : '';
       }
-      return '';
+      return '';
+    }
+  },
+
+  /**
+   * 内容处理模块
+   */
+  Content: {
+    /**
+     * 智能内容提取器
+     * @param {Object} entry - 新闻条目对象
+     * @param {Object} feedConfig - RSS源配置对象（可选）
+     * @return {string} 提取的新闻正文内容
+     */
+    extractNewsContent: function(entry, feedConfig) {
+      let finalContent = '';
+      let sourceType = 'rss'; // rss 或 detail_page
+      let detailPageContent = '';
+
+      // 1. 检查是否应该尝试详情页抓取
+      // 逻辑：全局启用 && 链接有效 && (feed未配置detailPageConfig 或 feed配置的enabled不为false)
+      const shouldFetchDetailPage = CONTENT_CONFIG.detailPageEnabled
+        && entry.link && entry.link.trim().length > 0
+        && (!feedConfig || !feedConfig.detailPageConfig || feedConfig.detailPageConfig.enabled !== false);
+
+      // 2. 首先尝试详情页抓取（如果启用）
+      if (shouldFetchDetailPage) {
+        // 获取feed特定的详情页配置（可能为undefined）
+        const detailPageConfig = feedConfig ? feedConfig.detailPageConfig : undefined;
+        detailPageContent = this.fetchDetailPageContent(entry.link, detailPageConfig);
+
+        if (detailPageContent && detailPageContent.trim().length > 0) {
+          finalContent = detailPageContent;
+          sourceType = 'detail_page';
+        }
+      }
+
+      // 3. 如果详情页内容不可用，尝试RSS内容
+      if (!finalContent) {
+        // 尝试不同RSS内容字段（按优先级）
+        const contentSources = [
+          entry['content:encoded'],  // RSS 2.0扩展
+          entry.content,             // Atom
+          entry.description,         // 标准RSS
+          entry.summary              // Atom摘要
+        ];
+
+        // 提取第一个有效内容
+        let rawContent = contentSources.find(src => src && src.trim().length > 0);
+
+        if (!rawContent) {
+          // 如果RSS内容和详情页内容都不可用
+          if (detailPageContent && detailPageContent.trim().length > 0) {
+            finalContent = detailPageContent;
+            sourceType = 'detail_page_fallback';
+          } else {
+            return '【内容提取失败】';
+          }
+        } else {
+          const sourceName = this.getContentSourceName(entry, contentSources, rawContent);
+
+          // 清理和格式化RSS内容
+          try {
+            const cleanedContent = Utils.cleanHtmlContent(rawContent, {
+              keepParagraphs: true,
+              removeImages: true
+            });
+
+            finalContent = cleanedContent;
+            sourceType = 'rss';
+
+          } catch (error) {
+            Utils.logError(error, "RSS HTML内容清理");
+            // 清理失败，尝试使用详情页内容作为备用
+            if (detailPageContent && detailPageContent.trim().length > 0) {
+              finalContent = detailPageContent;
+              sourceType = 'detail_page_fallback_error';
+            } else {
+              return '【内容清理失败】';
+            }
+          }
+        }
+      }
+
+      // 3. 按全局和RSS源的样板规则清理开头/末尾的样板行和行内样板短语
+      finalContent = this.cleanFooterContent(finalContent, feedConfig);
+
+      return finalContent || '【内容为空】';
+    },
+
+
+    /**
+     * 从详情页URL获取新闻正文内容（通用版本）
+     * @param {string} link - 新闻详情页URL
+     * @param {Object} detailPageConfig - 详情页配置对象（可选）
+     * @return {string} 提取的正文内容或空字符串
+     */
+    fetchDetailPageContent: function(link, detailPageConfig) {
+      if (!link || link.trim().length === 0) {
+        return '';
+      }
+
+      try {
+        const options = {
+          muteHttpExceptions: true,
+          followRedirects: true,
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; Google-Apps-Script; +https://script.google.com)',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+          }
+        };
+
+        const response = UrlFetchApp.fetch(link, options);
+        const responseCode = response.getResponseCode();
+
+        if (responseCode !== 200) {
+          Utils.logAction("详情页抓取失败", { reason: `HTTP ${responseCode}` });
+          return '';
+        }
+
+        // 按响应头、<meta charset> 或XML声明的字符集解码，避免GBK/GB18030网页乱码
+        const charset = UtilsNetwork.detectCharset(response);
+        const html = UtilsNetwork.getResponseText(response, charset);
+        if (charset !== 'UTF-8') {
+          Utils.logAction("详情页字符集", { url: link, name: link, extra: `按 ${charset} 解码` });
+        }
+
+        // 默认选择器列表（没有配置选择器、配置的选择器和评分提取都未命中时使用）
+        const defaultSelectors = [
+          'article',    // HTML5 <article> 标签（优先尝试）
+          '.content',   // 通用内容类
+          'div[class*="content"]',  // 类名包含content的div
+          'div[class*="main"]',     // 类名包含main的div
+          'div[class*="article"]',  // 类名包含article的div
+          'div[class*="post"]'      // 类名包含post的div
+        ];
+
+        const configuredSelectors = (detailPageConfig && detailPageConfig.selectors) || [];
+
+        // 按优先级尝试每个选择器，内容需足够长（原始HTML长度大于100字符），避免匹配到过短的div（如仅包含元信息的容器）
+        const trySelectors = selectors => {
+          for (const selector of selectors) {
+            const extractedContent = Utils.extractElement(html, selector, { handleNesting: true, maxDepth: 100 });
+            if (extractedContent && extractedContent.trim().length > 100) {
+              return { content: extractedContent, selector: selector };
+            }
+          }
+          return null;
+        };
+
+        // 提取顺序：配置的选择器 → 正文评分 → 默认选择器 → 整个body
+        let content = '';
+        let strategy = '';
+        const configuredMatch = trySelectors(configuredSelectors);
+        if (configuredMatch) {
+          content = configuredMatch.content;
+          strategy = `配置选择器 ${configuredMatch.selector}`;
+        }
+
+        if (!content && CONTENT_CONFIG.scoringExtractionEnabled) {
+          const scored = this.extractMainContentByScore(html);
+          if (scored && scored.score >= CONTENT_CONFIG.minExtractionScore) {
+            content = scored.content;
+            strategy = `正文评分 ${scored.label}，得分${scored.score}（段落${scored.paragraphs}，链接密度${scored.linkDensity}，` +
+              `标点比例${scored.punctuationRatio}，文本密度${scored.textDensity}）`;
+          } else if (scored) {
+            Utils.logAction("正文评分未达阈值", { url: link, name: link, extra: `最佳节点 ${scored.label} 得分${scored.score}，低于${CONTENT_CONFIG.minExtractionScore}` });
+          }
+        }
+
+        if (!content) {
+          const defaultMatch = trySelectors(defaultSelectors);
+          if (defaultMatch) {
+            content = defaultMatch.content;
+            strategy = `默认选择器 ${defaultMatch.selector}`;
+          }
+        }
+
+        // 如果所有方式都失败，尝试整个body内容
+        if (!content) {
+          const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
+          if (bodyMatch && bodyMatch[1]) {
+            content = bodyMatch[1];
+          } else {
+            content = html;
+          }
+          strategy = '整个body';
+        }
+
+        Utils.logAction("详情页正文提取", { url: link, name: link, extra: `策略: ${strategy}` });
+
+        // 应用排除选择器（如果有配置）
+        let contentAfterExclusion = content;
+        if (detailPageConfig && detailPageConfig.excludeSelectors && detailPageConfig.excludeSelectors.length > 0) {
+          contentAfterExclusion = Utils.removeHtmlElementsBySelector(content, detailPageConfig.excludeSelectors);
+        }
+
+        // 清理HTML内容
+        const cleanedContent = Utils.cleanHtmlContent(contentAfterExclusion, {
+          keepParagraphs: true,
+          removeImages: true
+        });
+
+        return cleanedContent;
+
+      } catch (error) {
+        Utils.logError(error, `抓取详情页: ${link}`);
+        return '';
+      }
+    },
+
+    /**
+     * 按正文特征为网页中的容器节点评分，返回得分最高的节点内容（不依赖选择器配置）
+     * 段落（p/pre/blockquote，以及容器中直接以br分行的文本）按中文标点数和长度计分，
+     * 计入最近的三级容器祖先（依次 1、1/2、1/3）；容器得分再乘以 (1 - 链接密度) 和文本密度系数，加上 class/id 提示分。
+     * @param {string} html - 网页HTML
+     * @return {Object|null} { content, score, label, paragraphs, linkDensity, punctuationRatio, textDensity }，没有合适节点时返回null
+     */
+    extractMainContentByScore: function(html) {
+      const source = String(html || '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|iframe|svg|template)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+      const voidTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+      const containerTags = ['div', 'article', 'section', 'main', 'td', 'body'];
+      const paragraphTags = ['p', 'pre', 'blockquote'];
+      const blockTags = containerTags.concat(paragraphTags, ['table', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'footer', 'nav', 'aside', 'form']);
+      const positiveHint = /article|content|main|post|text|body|entry|story|detail|news|zw|正文/i;
+      const negativeHint = /comment|nav|footer|header|sidebar|menu|related|recommend|share|\bad|banner|copyright|hot|rank|tag|breadcrumb|login|toolbar/i;
+      const punctuationPattern = /[，。！？；：、,]/g;
+
+      const measure = text => text.replace(/&[a-z#0-9]+;/gi, ' ').replace(/\s+/g, '').length;
+      const scoreUnit = text => {
+        const length = measure(text);
+        return length < 25 ? 0 : 1 + (text.match(punctuationPattern) || []).length + Math.min(Math.floor(length / 100), 3);
+      };
+
+      const root = { tag: '#root', attributes: '', parent: null, contentStart: 0, end: source.length, textLength: 0, linkTextLength: 0, punctuation: 0, paragraphs: 0, ownText: '', contentScore: 0 };
+      const stack = [root];
+      const candidates = [];
+
+      const nearestContainers = node => {
+        const result = [];
+        for (let current = node.parent; current && result.length < 3; current = current.parent) {
+          if (containerTags.indexOf(current.tag) !== -1) {
+            result.push(current);
+          }
+        }
+        return result;
+      };
+      const addUnitScore = (node, text, includeSelf) => {
+        const score = scoreUnit(text);
+        if (score === 0) {
+          return;
+        }
+        const targets = (includeSelf ? [node] : []).concat(nearestContainers(node)).slice(0, 3);
+        if (targets.length === 0) {
+          return;
+        }
+        targets.forEach((target, level) => {
+          target.contentScore += score / (level + 1);
+        });
+        targets[0].paragraphs++;
+      };
+      const closeNode = (node, endIndex) => {
+        node.end = endIndex;
+        if (paragraphTags.indexOf(node.tag) !== -1) {
+          addUnitScore(node, node.ownText, false);
+        } else if (containerTags.indexOf(node.tag) !== -1) {
+          // 容器中直接书写、以br分行的文本
+          node.ownText.split(/\n{2,}/).forEach(text => addUnitScore(node, text, true));
+        }
+      };
+      const popUntil = (index, endIndex) => {
+        while (stack.length - 1 >= index && stack.length > 1) {
+          closeNode(stack.pop(), endIndex);
+        }
+      };
+
+      const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b([^>]*)>/g;
+      let lastIndex = 0;
+      let match;
+      while ((match = tagPattern.exec(source)) !== null) {
+        // 处理标签之前的文本
+        const text = source.substring(lastIndex, match.index);
+        const length = measure(text);
+        if (length > 0) {
+          const inLink = stack.some(node => node.tag === 'a');
+          const punctuation = (text.match(punctuationPattern) || []).length;
+          stack.forEach(node => {
+            node.textLength += length;
+            node.punctuation += punctuation;
+            if (inLink) {
+              node.linkTextLength += length;
+            }
+          });
+          // 文本归属于最近的段落或容器
+          for (let index = stack.length - 1; index >= 0; index--) {
+            if (paragraphTags.indexOf(stack[index].tag) !== -1 || containerTags.indexOf(stack[index].tag) !== -1) {
+              stack[index].ownText += text;
+              break;
+            }
+          }
+        }
+        lastIndex = tagPattern.lastIndex;
+
+        const isClosing = match[1] === '/';
+        const tag = match[2].toLowerCase();
+
+        if (isClosing) {
+          const index = stack.map(node => node.tag).lastIndexOf(tag);
+          if (index > 0) {
+            popUntil(index, match.index);
+          }
+          continue;
+        }
+
+        if (tag === 'br') {
+          const owner = stack.slice().reverse().find(node => paragraphTags.indexOf(node.tag) !== -1 || containerTags.indexOf(node.tag) !== -1);
+          if (owner) {
+            owner.ownText += '\n';
+          }
+          continue;
+        }
+        if (voidTags.indexOf(tag) !== -1 || /\/\s*$/.test(match[3])) {
+          continue;
+        }
+
+        // 未闭合的p遇到块级元素时隐式结束
+        if (blockTags.indexOf(tag) !== -1 && stack[stack.length - 1].tag === 'p') {
+          popUntil(stack.length - 1, match.index);
+        }
+
+        const node = {
+          tag: tag,
+          attributes: match[3],
+          parent: stack[stack.length - 1],
+          contentStart: tagPattern.lastIndex,
+          end: source.length,
+          textLength: 0,
+          linkTextLength: 0,
+          punctuation: 0,
+          paragraphs: 0,
+          ownText: '',
+          contentScore: 0
+        };
+        stack.push(node);
+        if (containerTags.indexOf(tag) !== -1) {
+          candidates.push(node);
+        }
+      }
+      popUntil(1, source.length);
+
+      const getAttribute = (node, name) => ((node.attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']?([^"'>]*)`, 'i')) || [])[1] || '').trim();
+
+      let best = null;
+      candidates.forEach(node => {
+        if (node.contentScore === 0 || node.textLength < CONTENT_CONFIG.minExtractionTextLength) {
+          return;
+        }
+
+        const classAndId = `${getAttribute(node, 'class')} ${getAttribute(node, 'id')}`;
+        const hint = (positiveHint.test(classAndId) ? 25 : 0) - (negativeHint.test(classAndId) ? 25 : 0) + (node.tag === 'article' ? 10 : 0);
+        const linkDensity = node.linkTextLength / node.textLength;
+        const textDensity = node.textLength / Math.max(1, node.end - node.contentStart);
+        const score = node.contentScore * (1 - linkDensity) * Math.min(1, 0.5 + textDensity) + hint;
+
+        if (!best || score > best.score) {
+          best = { node: node, score: score, linkDensity: linkDensity, textDensity: textDensity };
+        }
+      });
+
+      if (!best) {
+        return null;
+      }
+
+      const node = best.node;
+      const id = getAttribute(node, 'id').split(/\s+/)[0];
+      const className = getAttribute(node, 'class').split(/\s+/)[0];
+      const round = value => Math.round(value * 100) / 100;
+      return {
+        content: source.substring(node.contentStart, node.end),
+        score: round(best.score),
+        label: `${node.tag}${id ? `#${id}` : ''}${className ? `.${className}` : ''}`,
+        paragraphs: node.paragraphs + candidates.filter(candidate => candidate !== node && this.isDescendant(candidate, node)).reduce((sum, candidate) => sum + candidate.paragraphs, 0),
+        linkDensity: round(best.linkDensity),
+        punctuationRatio: round(node.punctuation / node.textLength),
+        textDensity: round(best.textDensity)
+      };
+    },
+
+    /**
+     * 判断节点是否为另一节点的后代
+     * @private
+     */
+    isDescendant: function(node, ancestor) {
+      for (let current = node.parent; current; current = current.parent) {
+        if (current === ancestor) {
+          return true;
+        }
+      }
+      return false;
+    },
+
+    /**
+     * 合并全局和RSS源的样板清理规则，并编译正则（无效的正则记录错误后忽略）
+     * @param {Object} feedConfig - RSS源配置对象（可选，读取 boilerplateRules）
+     * @return {Object} { headLines, tailLines, removeLineKeywords, linePatterns, stripPhrases, stripPatterns }
+     */
+    resolveBoilerplateRules: function(feedConfig) {
+      const defaults = BOILERPLATE_CONFIG.defaultRules;
+      const feedRules = (feedConfig && feedConfig.boilerplateRules) || {};
+      const base = feedRules.inheritDefaults === false ? {} : defaults;
+      const pick = key => (feedRules[key] !== undefined ? feedRules[key] : (base[key] || 0));
+      const concat = key => (base[key] || []).concat(feedRules[key] || []);
+      const compile = patterns => patterns.map(pattern => {
+        try {
+          return new RegExp(pattern, 'g');
+        } catch (error) {
+          Utils.logError(error, `样板清理规则无效: ${feedConfig ? feedConfig.name : '全局'} ${pattern}`);
+          return null;
+        }
+      }).filter(Boolean);
+
+      return {
+        headLines: pick('headLines'),
+        tailLines: pick('tailLines'),
+        removeLineKeywords: concat('removeLineKeywords'),
+        linePatterns: compile(concat('removeLinePatterns')),
+        stripPhrases: concat('stripPhrases'),
+        stripPatterns: compile(concat('stripPatterns'))
+      };
+    },
+
+    /**
+     * 清理新闻内容中的样板信息（页脚署名、责任编辑、关注提示等）
+     * 1. 开头 headLines 个和末尾 tailLines 个非空行中，包含 removeLineKeywords 或匹配 removeLinePatterns 的行整行删除
+     * 2. 全文删除 stripPhrases / stripPatterns（不删整行）
+     * 删除的行以调试级别记录。
+     * @param {string} content - 清理后的文本内容
+     * @param {Object} feedConfig - RSS源配置对象（可选，读取 boilerplateRules）
+     * @return {string} 清理样板信息后的内容
+     */
+    cleanFooterContent: function(content, feedConfig) {
+      if (!content || content.trim().length === 0) {
+        return content;
+      }
+
+      const rules = this.resolveBoilerplateRules(feedConfig);
+      const lines = content.split('\n');
+
+      // 检查范围：开头和末尾的非空行（空行不计数）
+      const nonEmptyIndexes = lines.map((line, index) => (line.trim().length > 0 ? index : -1)).filter(index => index !== -1);
+      const scanIndexes = new Set(nonEmptyIndexes.slice(0, rules.headLines)
+        .concat(rules.tailLines > 0 ? nonEmptyIndexes.slice(-rules.tailLines) : []));
+
+      const removedLines = [];
+      const keptLines = lines.filter((line, index) => {
+        if (!scanIndexes.has(index)) {
+          return true;
+        }
+
+        const trimmedLine = line.trim();
+        const matched = rules.removeLineKeywords.some(keyword => trimmedLine.includes(keyword))
+          || rules.linePatterns.some(pattern => {
+            pattern.lastIndex = 0;
+            return pattern.test(trimmedLine);
+          });
+        if (matched) {
+          removedLines.push(trimmedLine);
+        }
+        return !matched;
+      });
+
+      // 行内短语只删除短语本身，所在行保留
+      let result = keptLines.join('\n');
+      rules.stripPhrases.forEach(phrase => {
+        result = result.split(phrase).join('');
+      });
+      rules.stripPatterns.forEach(pattern => {
+        result = result.replace(pattern, '');
+      });
+
+      if (removedLines.length > 0) {
+        Utils.logDebug("删除样板行", {
+          name: feedConfig ? feedConfig.name : '全局规则',
+          extra: removedLines.map(line => `「${line.substring(0, 50)}」`).join(' ')
+        });
+      }
+
+      return result.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+    },
+
+    /**
+     * 辅助函数：确定内容来源名称
+     * @private
+     */
+    getContentSourceName: function(entry, contentSources, rawContent) {
+      if (rawContent === entry['content:encoded']) return 'content:encoded';
+      if (rawContent === entry.content) return 'content';
+      if (rawContent === entry.description) return 'description';
+      if (rawContent === entry.summary) return 'summary';
+      return 'unknown';
+    }
+  },
+
+  /**
+   * AI模块
+   */
+  AI: {
+    /**
+     * 从AI错误消息中提取HTTP状态码
+     * @param {Error} error - AI调用错误
+     * @return {number|null} HTTP状态码
+     */
+    getHttpStatusFromError: function(error) {
+      const message = error && error.message ? error.message : String(error || '');
+      const match = message.match(/状态码:\s*(\d{3})|HTTP\s*(\d{3})/i);
+      return match ? parseInt(match[1] || match[2], 10) : null;
+    },
+
+    /**
+     * 判断当前错误是否应该快速切换到下一个模型
+     * @param {Error} error - AI调用错误
+     * @return {boolean} 是否跳过当前模型后续重试
+     */
+    shouldFailoverModel: function(error) {
+      // 总结校验未通过等结果问题：同一模型重试通常得到相同结果，直接换模型
+      if (error && error.failoverModel) {
+        return true;
+      }
+
+      const statusCode = this.getHttpStatusFromError(error);
+      return [401, 403, 429, 502, 503, 504].includes(statusCode);
+    },
+
+    /**
+     * 获取模型链中的模型唯一键
+     * @param {Object} modelConfig - 模型配置
+     * @return {string} 模型键
+     */
+    getModelKey: function(modelConfig) {
+      return `${modelConfig.provider}/${modelConfig.model}`;
+    },
+
+    /**
+     * 读取共享熔断状态（带执行内缓存）
+     * @param {boolean} forceRefresh - 是否忽略缓存直接读取脚本属性
+     * @return {Object} 以模型键为key的熔断状态对象
+     */
+    getCircuitBreakerStates: function(forceRefresh = false) {
+      const cacheAgeMs = Date.now() - AI_MODEL_CIRCUIT_BREAKER.loadedAt;
+      if (!forceRefresh && cacheAgeMs < AI_CIRCUIT_BREAKER_CONFIG.refreshSeconds * 1000) {
+        return AI_MODEL_CIRCUIT_BREAKER.models;
+      }
+
+      AI_MODEL_CIRCUIT_BREAKER.models = NewsUtils.State.readJson(AI_CIRCUIT_BREAKER_CONFIG.storageKey, {});
+      AI_MODEL_CIRCUIT_BREAKER.loadedAt = Date.now();
+      return AI_MODEL_CIRCUIT_BREAKER.models;
+    },
+
+    /**
+     * 在锁内修改单个模型的共享熔断状态，并同步执行内缓存
+     * @param {string} modelKey - 模型键
+     * @param {Function} updater - 接收当前状态（可能为undefined），返回新状态；返回null时删除该模型记录
+     * @return {Object|null} 更新后的状态
+     */
+    updateCircuitBreakerState: function(modelKey, updater) {
+      let updatedState = null;
+
+      const models = NewsUtils.State.updateJson(AI_CIRCUIT_BREAKER_CONFIG.storageKey, {}, function(allStates) {
+        updatedState = updater(allStates[modelKey]);
+        if (updatedState) {
+          allStates[modelKey] = updatedState;
+        } else {
+          delete allStates[modelKey];
+        }
+        return allStates;
+      });
+
+      if (models) {
+        AI_MODEL_CIRCUIT_BREAKER.models = models;
+        AI_MODEL_CIRCUIT_BREAKER.loadedAt = Date.now();
+      }
+
+      return updatedState;
+    },
+
+    /**
+     * 判断模型当前是否处于熔断状态
+     * 冷却期内返回true；冷却结束后当前执行获得半开探测租约并返回false（放行一次探测调用），
+     * 租约期内所有执行（包括探测执行的后续调用）仍返回true，直到探测结果关闭或重新打开熔断。
+     * @param {Object} modelConfig - 模型配置
+     * @return {boolean} 是否应跳过该模型
+     */
+    isModelCircuitOpen: function(modelConfig) {
+      const modelKey = this.getModelKey(modelConfig);
+      const breakerState = this.getCircuitBreakerStates()[modelKey];
+
+      if (!breakerState) {
+        return false;
+      }
+
+      const now = Date.now();
+
+      if (breakerState.state === 'half_open') {
+        if (now < breakerState.probeUntil) {
+          // 探测调用已在获得租约时放行，租约期内不再放行其他调用
+          return true;
+        }
+        return !this.acquireHalfOpenProbe(modelKey);
+      }
+
+      if (now < breakerState.disabledUntil) {
+        return true;
+      }
+
+      return !this.acquireHalfOpenProbe(modelKey);
+    },
+
+    /**
+     * 为冷却结束的模型申请半开探测租约
+     * @param {string} modelKey - 模型键
+     * @return {boolean} 是否获得探测资格
+     */
+    acquireHalfOpenProbe: function(modelKey) {
+      const executionId = NewsUtils.State.getExecutionId();
+      let acquired = false;
+
+      this.updateCircuitBreakerState(modelKey, function(currentState) {
+        if (!currentState) {
+          acquired = true;
+          return null;
+        }
+
+        const now = Date.now();
+        const probeHeldByOther = currentState.state === 'half_open'
+          && currentState.probeOwner !== executionId
+          && now < currentState.probeUntil;
+
+        if (probeHeldByOther || (currentState.state !== 'half_open' && now < currentState.disabledUntil)) {
+          return currentState;
+        }
+
+        acquired = true;
+        return Object.assign({}, currentState, {
+          state: 'half_open',
+          probeOwner: executionId,
+          probeUntil: now + AI_CIRCUIT_BREAKER_CONFIG.halfOpenProbeSeconds * 1000
+        });
+      });
+
+      if (acquired) {
+        Utils.logAction("AI模型半开探测", {
+          name: modelKey,
+          extra: `冷却结束，本次执行尝试调用一次`
+        });
+      }
+
+      return acquired;
+    },
+
+    /**
+     * 根据HTTP错误状态更新共享模型熔断状态
+     * 连续熔断时冷却时间按倍数增长，半开探测失败视为连续熔断。
+     * 半开探测的任何失败（包括超时、500、总结校验未通过等未配置冷却时间的错误）都重新熔断，
+     * 冷却时间按上次熔断的状态码计算。
+     * @param {Object} modelConfig - 模型配置
+     * @param {number|null} statusCode - HTTP状态码
+     */
+    updateModelCircuitBreaker: function(modelConfig, statusCode) {
+      const modelKey = this.getModelKey(modelConfig);
+      const mappedCooldownSeconds = statusCode ? AI_CIRCUIT_BREAKER_CONFIG.cooldownSeconds[statusCode] : null;
+      const cachedState = this.getCircuitBreakerStates()[modelKey];
+      if (!mappedCooldownSeconds && !(cachedState && cachedState.state === 'half_open')) {
+        return;
+      }
+
+      let reopened = false;
+
+      const newState = this.updateCircuitBreakerState(modelKey, function(currentState) {
+        const probeFailed = !!currentState && currentState.state === 'half_open';
+        const baseCooldownSeconds = mappedCooldownSeconds
+          || (probeFailed && AI_CIRCUIT_BREAKER_CONFIG.cooldownSeconds[currentState.statusCode]);
+        if (!baseCooldownSeconds) {
+          return currentState || null;
+        }
+
+        reopened = true;
+        const consecutiveOpens = currentState ? (currentState.consecutiveOpens || 0) + 1 : 1;
+        const cooldownSeconds = Math.min(
+          baseCooldownSeconds * Math.pow(AI_CIRCUIT_BREAKER_CONFIG.backoffMultiplier, consecutiveOpens - 1),
+          Math.max(baseCooldownSeconds, AI_CIRCUIT_BREAKER_CONFIG.maxCooldownSeconds)
+        );
+        const failureCounts = Object.assign({}, currentState && currentState.failureCounts);
+        const failureKey = statusCode || 'probe';
+        failureCounts[failureKey] = (failureCounts[failureKey] || 0) + 1;
+
+        return {
+          state: 'open',
+          statusCode: mappedCooldownSeconds ? statusCode : currentState.statusCode,
+          disabledUntil: Date.now() + cooldownSeconds * 1000,
+          cooldownSeconds: cooldownSeconds,
+          consecutiveOpens: consecutiveOpens,
+          failureCounts: failureCounts,
+          lastFailureAt: Date.now()
+        };
+      });
+
+      if (reopened && newState) {
+        Utils.logAction("AI模型熔断", {
+          name: modelKey,
+          extra: `${mappedCooldownSeconds ? `HTTP ${statusCode}` : '半开探测失败'}，${newState.cooldownSeconds}秒内所有分组不再尝试（连续第${newState.consecutiveOpens}次熔断）`
+        });
+      }
+    },
+
+    /**
+     * 记录模型调用成功：存在熔断记录时关闭熔断（半开探测成功）
+     * @param {Object} modelConfig - 模型配置
+     */
+    recordModelSuccess: function(modelConfig) {
+      const modelKey = this.getModelKey(modelConfig);
+      if (!this.getCircuitBreakerStates()[modelKey]) {
+        return;
+      }
+
+      this.updateCircuitBreakerState(modelKey, function() {
+        return null;
+      });
+      Utils.logAction("AI模型恢复", { name: modelKey, extra: '调用成功，关闭熔断' });
+    },
+
+    /**
+     * 手动重置熔断状态
+     * @param {string} modelKey - (可选) 模型键（如 'gemini/gemini-flash-latest'），不传则重置全部
+     * @return {number} 被重置的模型数量
+     */
+    resetModelCircuitBreaker: function(modelKey) {
+      let resetCount = 0;
+
+      const models = NewsUtils.State.updateJson(AI_CIRCUIT_BREAKER_CONFIG.storageKey, {}, function(allStates) {
+        if (!modelKey) {
+          resetCount = Object.keys(allStates).length;
+          return {};
+        }
+        if (allStates[modelKey]) {
+          resetCount = 1;
+          delete allStates[modelKey];
+        }
+        return allStates;
+      });
+
+      if (models) {
+        AI_MODEL_CIRCUIT_BREAKER.models = models;
+        AI_MODEL_CIRCUIT_BREAKER.loadedAt = Date.now();
+      }
+
+      return resetCount;
+    },
+
+    /**
+     * 合并全局分类策略与RSS源的 classificationPolicy 覆盖配置
+     * @param {Object} feedConfig - RSS源配置对象（可选）
+     * @return {Object} 合并后的分类策略
+     */
+    resolveClassificationPolicy: function(feedConfig) {
+      const overrides = (feedConfig && feedConfig.classificationPolicy) || {};
+      const categories = CLASSIFICATION_POLICY.categories.map(category => {
+        return Object.assign({}, category, overrides[category.name] || {});
+      });
+
+      // 覆盖配置中策略外的分类作为新分类追加
+      Object.keys(overrides).forEach(name => {
+        if (!categories.some(category => category.name === name)) {
+          categories.push(Object.assign({ name: name, save: CLASSIFICATION_POLICY.defaultSave }, overrides[name]));
+        }
+      });
+
+      return {
+        categories: categories,
+        defaultSave: CLASSIFICATION_POLICY.defaultSave
+      };
+    },
+
+    /**
+     * 将分类策略编译为分类提示词，并为每条子规则分配编号（R1、R2...）
+     * 没有 description 的规则无法写入提示词，编译时跳过
+     * @param {Object} policy - 分类策略（resolveClassificationPolicy 的返回值）
+     * @param {string} template - 提示词模板（AI_CLASSIFICATION_PROMPT 或 AI_BATCH_CLASSIFICATION_PROMPT）
+     * @return {{prompt: string, ruleMap: Object}} 提示词与规则编号映射
+     */
+    compileClassificationPolicy: function(policy, template) {
+      const ruleMap = {};
+      const ruleLines = [];
+      let ruleIndex = 0;
+
+      policy.categories.forEach(category => {
+        const rules = (category.rules || []).filter(rule => rule && typeof rule.description === 'string' && rule.description.trim());
+        if (rules.length < (category.rules || []).length) {
+          Utils.logDebug("跳过无效分类规则", {
+            name: category.name,
+            extra: `${(category.rules || []).length - rules.length}条规则缺少description`
+          });
+        }
+        if (rules.length === 0) {
+          return;
+        }
+
+        ruleLines.push(`${category.name}：`);
+        rules.forEach(rule => {
+          ruleIndex++;
+          const ruleId = `R${ruleIndex}`;
+          ruleMap[ruleId] = Object.assign({ id: ruleId, category: category.name }, rule);
+          ruleLines.push(`  ${ruleId}: ${rule.description}`);
+        });
+      });
+
+      const prompt = (template || AI_CLASSIFICATION_PROMPT)
+        .replace('{{categories}}', policy.categories.map(category => category.name).join('、'))
+        .replace('{{rules}}', ruleLines.length > 0 ? ruleLines.join('\n') : '（所有分类均无规则）');
+
+      return { prompt, ruleMap };
+    },
+
+    /**
+     * 根据分类策略判定是否保存
+     * 命中所选分类下的规则时使用规则的save，否则使用分类的save；策略外分类使用defaultSave。
+     * @param {Object} policy - 分类策略
+     * @param {Object} ruleMap - 规则编号映射
+     * @param {string} category - 模型返回的分类
+     * @param {string} ruleId - 模型返回的规则编号（'0'表示未命中）
+     * @return {{shouldSave: boolean, rule: (Object|null)}} 判定结果
+     */
+    applyClassificationPolicy: function(policy, ruleMap, category, ruleId) {
+      const categoryConfig = policy.categories.find(item => item.name === category);
+      if (!categoryConfig) {
+        return { shouldSave: policy.defaultSave, rule: null };
+      }
+
+      const rule = ruleMap[ruleId];
+      if (rule && rule.category === category) {
+        return { shouldSave: rule.save !== false, rule: rule };
+      }
+
+      return { shouldSave: categoryConfig.save !== false, rule: null };
+    },
+
+    /**
+     * 按provider调用对应的UtilsAI服务
+     * @param {Object} modelConfig - 模型配置（provider、model）
+     * @param {Object} options - UtilsAI调用参数（model字段会被modelConfig.model覆盖）
+     * @return {string} AI原始回复
+     */
+    callModel: function(modelConfig, options) {
+      const providerFunctions = {
+        gemini: 'askGemini',
+        groq: 'askGroq',
+        cerebras: 'askCerebras',
+        deepseek: 'askDeepseek'
+      };
+      const functionName = providerFunctions[modelConfig.provider];
+
+      if (!functionName) {
+        throw new Error(`不支持的AI provider: ${modelConfig.provider}`);
+      }
+      if (typeof UtilsAI[functionName] !== 'function') {
+        throw new Error(`UtilsAI.${functionName} 不可用`);
+      }
+
+      return UtilsAI[functionName](Object.assign({}, options, { model: modelConfig.model }));
+    },
+
+    /**
+     * 按模型链顺序执行AI操作：跳过熔断模型，单模型有限重试，成功后关闭熔断，HTTP错误时更新熔断并切换下一个模型
+     * @param {Array<Object>} models - 模型链配置
+     * @param {Function} operation - 接收modelConfig并返回结果的函数，抛出异常视为本次尝试失败
+     * @param {Object} options - 执行配置
+     * @param {string} options.label - 日志标签（如"AI分类"）
+     * @param {number} options.maxAttempts - 每个模型最大尝试次数（默认2）
+     * @param {number} options.retryDelaySeconds - 重试间隔秒数（默认1）
+     * @param {string} options.context - 附加在日志中的上下文
+     * @return {{success: boolean, result: *, modelConfig: (Object|null)}} 执行结果
+     */
+    runModelChain: function(models, operation, options = {}) {
+      const aiUtils = this;
+      const label = options.label || 'AI调用';
+      const context = options.context ? `，${options.context}` : '';
+
+      for (const modelConfig of models) {
+        const modelKey = aiUtils.getModelKey(modelConfig);
+
+        if (aiUtils.isModelCircuitOpen(modelConfig)) {
+          Utils.logAction(`跳过熔断${label}模型`, { name: modelKey });
+          continue;
+        }
+
+        try {
+          const result = UtilsAI.withRetry(function() {
+            return operation(modelConfig);
+          }, {
+            maxAttempts: options.maxAttempts || 2,
+            retryDelaySeconds: options.retryDelaySeconds ?? 1,
+            context: `${label}(${modelKey})${context}`,
+            shouldRetry: function(error) {
+              return !aiUtils.shouldFailoverModel(error);
+            }
+          });
+
+          aiUtils.recordModelSuccess(modelConfig);
+          return { success: true, result: result, modelConfig: modelConfig };
+
+        } catch (error) {
+          const statusCode = aiUtils.getHttpStatusFromError(error);
+          aiUtils.updateModelCircuitBreaker(modelConfig, statusCode);
+          const extra = statusCode ? `HTTP ${statusCode}，` : '';
+          Utils.logError(error, `${label}模型失败，${extra}切换下一个模型: ${modelKey}`);
+        }
+      }
+
+      return { success: false, result: null, modelConfig: null };
+    },
+
+    /**
+     * 构建分类调用参数
+     * qwen3.6 默认会思考；分类任务关闭推理以省 TPM，并压低输出上限
+     * @param {Object} modelConfig - 模型配置
+     * @param {string} prompt - 提示词
+     * @param {Object} overrides - 额外参数（如responseFormat、maxTokens）
+     * @return {Object} UtilsAI调用参数
+     */
+    buildClassificationOptions: function(modelConfig, prompt, overrides = {}) {
+      const options = Object.assign({ prompt: prompt }, overrides);
+
+      if (modelConfig.provider === 'groq') {
+        return Object.assign({ maxTokens: 64 }, options, {
+          groq: {
+            reasoningEffort: 'none'
+          }
+        });
+      }
+
+      // 输出上限只对关闭推理的Groq生效，其他模型保留默认上限以容纳思考过程
+      delete options.maxTokens;
+      return options;
+    },
+
+    /**
+     * 解析单条分类回复："政治新闻,R1" 或 "体育新闻,0"
+     * @param {string} response - 清理思考标签后的回复
+     * @return {{category: string, ruleId: string}} 分类与规则编号
+     */
+    parseClassificationResponse: function(response) {
+      const parts = response.split(/[,，]/).map(s => s.trim());
+
+      if (parts.length < 2) {
+        throw new Error(`AI响应格式错误: ${response}`);
+      }
+
+      const ruleId = this.normalizeRuleId(parts[parts.length - 1]);
+      const category = parts.slice(0, -1).join(','); // 处理可能包含逗号的分类名称
+
+      // 验证ruleId必须是"0"或"R数字"
+      if (!ruleId) {
+        throw new Error(`AI响应中的规则编号无效: ${parts[parts.length - 1]}`);
+      }
+
+      return { category, ruleId };
+    },
+
+    /**
+     * 规范化规则编号
+     * @param {*} value - 模型返回的规则编号
+     * @return {string|null} "0"、"R数字"，无效时返回null
+     */
+    normalizeRuleId: function(value) {
+      const ruleId = String(value === undefined || value === null ? '' : value).trim().toUpperCase();
+      return ruleId === '0' || /^R\d+$/.test(ruleId) ? ruleId : null;
+    },
+
+    /**
+     * AI新闻分类函数
+     * @param {string} title - 新闻标题
+     * @param {Object} feedConfig - RSS源配置对象（可选，用于读取 classificationPolicy 覆盖）
+     * @param {Array<string>} sourceCategories - 源站提供的栏目标签（可选，作为分类参考）
+     * @return {Object} 包含shouldSave、category、rule和model（成功分类的模型键）属性的对象
+     */
+    classifyNewsByTitle: function(title, feedConfig, sourceCategories) {
+      const policy = this.resolveClassificationPolicy(feedConfig);
+      const compiledPolicy = this.compileClassificationPolicy(policy, AI_CLASSIFICATION_PROMPT);
+      const categoryHint = this.formatCategoryHint(sourceCategories);
+      const prompt = compiledPolicy.prompt + title + (categoryHint.length > 0 ? `\n栏目标签：${categoryHint.join('、')}` : '');
+      const aiUtils = this;
+
+      // 验证AI工具依赖
+      if (typeof UtilsAI === 'undefined' || typeof UtilsAI.withRetry !== 'function') {
+        Utils.logError(new Error('UtilsAI对象不可用，请确保已部署utils_ai.js文件'), `AI分类标题: ${title.substring(0, 50)}...`);
+        return { shouldSave: false, category: '分类失败' };
+      }
+
+      const outcome = this.runModelChain(AI_CLASSIFICATION_MODELS, function(modelConfig) {
+        const rawResponse = aiUtils.callModel(modelConfig, aiUtils.buildClassificationOptions(modelConfig, prompt));
+
+        // 清理思考标签，提取最终结果
+        const response = aiUtils.cleanThinkingTags(rawResponse);
+        const parsed = aiUtils.parseClassificationResponse(response);
+        const decision = aiUtils.applyClassificationPolicy(policy, compiledPolicy.ruleMap, parsed.category, parsed.ruleId);
+
+        Utils.logAction("AI分类结果", {
+          title: title.substring(0, 50) + (title.length > 50 ? '...' : ''),
+          extra: `分类: ${parsed.category}，规则: ${decision.rule ? `${decision.rule.id} ${(decision.rule.description || '').substring(0, 30)}` : '无'}，保存: ${decision.shouldSave}（${aiUtils.getModelKey(modelConfig)}）`
+        });
+
+        return { shouldSave: decision.shouldSave, category: parsed.category, rule: decision.rule, model: aiUtils.getModelKey(modelConfig) };
+      }, {
+        label: 'AI分类',
+        maxAttempts: 2,
+        retryDelaySeconds: 1,
+        context: `标题: ${title.substring(0, 50)}...`
+      });
+
+      if (outcome.success) {
+        return outcome.result;
+      }
+
+      // AI调用失败：默认跳过（shouldSave = false），保守策略
+      Utils.logError(new Error('AI分类模型链全部失败'), `AI分类失败，跳过新闻，标题: ${title.substring(0, 50)}...`);
+      return { shouldSave: false, category: '分类失败' };
+    },
+
+    /**
+     * 批量AI新闻分类函数
+     * 一次调用发送多条带编号的标题，要求模型返回JSON数组；校验每个编号都有合法结果，
+     * 只对缺失或格式错误的条目重新提问，多轮后仍缺失的条目回退到逐条分类。
+     * @param {Array<string>} titles - 新闻标题数组
+     * @param {Object} feedConfig - RSS源配置对象（可选，用于读取 classificationPolicy 覆盖）
+     * @param {Array<Array<string>>} sourceCategories - 与titles顺序一致的源站栏目标签（可选，作为分类参考）
+     * @return {Array<Object>} 与titles顺序一致的分类结果数组（结构同 classifyNewsByTitle）
+     */
+    classifyNewsBatch: function(titles, feedConfig, sourceCategories) {
+      if (!titles || titles.length === 0) {
+        return [];
+      }
+
+      // 验证AI工具依赖
+      if (typeof UtilsAI === 'undefined' || typeof UtilsAI.withRetry !== 'function') {
+        Utils.logError(new Error('UtilsAI对象不可用，请确保已部署utils_ai.js文件'), `AI批量分类 ${titles.length} 条标题`);
+        return titles.map(() => ({ shouldSave: false, category: '分类失败' }));
+      }
+
+      const aiUtils = this;
+      const policy = this.resolveClassificationPolicy(feedConfig);
+      const compiledPolicy = this.compileClassificationPolicy(policy, AI_BATCH_CLASSIFICATION_PROMPT);
+      const batchSize = Math.max(1, PERFORMANCE_CONFIG.classificationBatchSize || 20);
+      const maxRounds = Math.max(1, PERFORMANCE_CONFIG.classificationBatchRounds || 2);
+      const results = new Array(titles.length);
+
+      for (let start = 0; start < titles.length; start += batchSize) {
+        // 稳定编号：使用标题在输入数组中的序号，有源站栏目标签时附带tags字段
+        let pending = titles.slice(start, start + batchSize).map((title, offset) => {
+          const item = { id: String(start + offset + 1), title: title };
+          const categoryHint = this.formatCategoryHint(sourceCategories && sourceCategories[start + offset]);
+          if (categoryHint.length > 0) {
+            item.tags = categoryHint;
+          }
+          return item;
+        });
+
+        for (let round = 1; round <= maxRounds && pending.length > 0; round++) {
+          const prompt = compiledPolicy.prompt + JSON.stringify(pending);
+          const pendingIds = pending.map(item => item.id);
+
+          const outcome = this.runModelChain(AI_CLASSIFICATION_MODELS, function(modelConfig) {
+            const rawResponse = aiUtils.callModel(modelConfig, aiUtils.buildClassificationOptions(modelConfig, prompt, {
+              responseFormat: 'json_object',
+              maxTokens: 64 + pending.length * 48
+            }));
+            const parsedItems = aiUtils.parseBatchClassificationResponse(aiUtils.cleanThinkingTags(rawResponse), pendingIds);
+
+            if (Object.keys(parsedItems).length === 0) {
+              throw new Error('AI批量分类响应中没有任何有效条目');
+            }
+            return { parsedItems: parsedItems, modelKey: aiUtils.getModelKey(modelConfig) };
+          }, {
+            label: 'AI批量分类',
+            maxAttempts: 2,
+            retryDelaySeconds: 1,
+            context: `第${round}轮，${pending.length}条标题`
+          });
+
+          if (!outcome.success) {
+            break;
+          }
+
+          const parsedItems = outcome.result.parsedItems;
+          pending.forEach(item => {
+            const parsed = parsedItems[item.id];
+            if (!parsed) {
+              return;
+            }
+
+            const decision = aiUtils.applyClassificationPolicy(policy, compiledPolicy.ruleMap, parsed.category, parsed.ruleId);
+            results[Number(item.id) - 1] = {
+              shouldSave: decision.shouldSave,
+              category: parsed.category,
+              rule: decision.rule,
+              model: outcome.result.modelKey
+            };
+          });
+
+          const missingCount = pending.filter(item => !parsedItems[item.id]).length;
+          Utils.logAction("AI批量分类结果", {
+            name: feedConfig && feedConfig.name,
+            extra: `第${round}轮（${outcome.result.modelKey}）：有效 ${pending.length - missingCount} 条，缺失或格式错误 ${missingCount} 条`
+          });
+
+          pending = pending.filter(item => !parsedItems[item.id]);
+        }
+
+        // 多轮后仍未得到结果的条目回退到逐条分类；每条都会走完整模型链，批量调用整体失败时只回退前几条，
+        // 其余记为分类失败（不写入索引），下次运行重新分类
+        const fallbackLimit = Math.max(0, PERFORMANCE_CONFIG.classificationFallbackLimit ?? 3);
+        pending.forEach((item, index) => {
+          if (index >= fallbackLimit) {
+            results[Number(item.id) - 1] = { shouldSave: false, category: '分类失败' };
+            return;
+          }
+          Utils.logAction("AI批量分类回退逐条分类", { title: item.title.substring(0, 50) + (item.title.length > 50 ? '...' : '') });
+          results[Number(item.id) - 1] = aiUtils.classifyNewsByTitle(item.title, feedConfig, item.tags);
+        });
+        if (pending.length > fallbackLimit) {
+          Utils.logAction("AI批量分类暂缓", {
+            name: feedConfig && feedConfig.name,
+            extra: `${pending.length - fallbackLimit} 条标题超过逐条分类上限${fallbackLimit}条，记为分类失败，下次运行重新分类`
+          });
+        }
+      }
+
+      return results;
+    },
+
+    /**
+     * 整理源站栏目标签作为分类参考：去重、截断过长的标签，最多保留5个
+     * @param {Array<string>} sourceCategories - 源站栏目标签
+     * @return {Array<string>} 整理后的标签
+     */
+    formatCategoryHint: function(sourceCategories) {
+      if (!Array.isArray(sourceCategories)) {
+        return [];
+      }
+      return NewsUtils.RSS.uniqueTexts(sourceCategories.map(category => String(category || '').substring(0, 20))).slice(0, 5);
+    },
+
+    /**
+     * 解析并校验批量分类回复
+     * 接受 {"results":[...]} 或直接的JSON数组；只保留编号在待分类列表中、分类非空且规则编号合法的条目。
+     * @param {string} response - 清理思考标签后的回复
+     * @param {Array<string>} expectedIds - 本轮待分类的编号
+     * @return {Object} 以编号为key的 {category, ruleId} 对象
+     */
+    parseBatchClassificationResponse: function(response, expectedIds) {
+      const jsonText = response.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
+      let data;
+
+      try {
+        data = JSON.parse(jsonText);
+      } catch (error) {
+        throw new Error(`AI批量分类响应不是合法JSON: ${response.substring(0, 200)}`);
+      }
+
+      const items = Array.isArray(data) ? data : (data && (data.results || data.items));
+      if (!Array.isArray(items)) {
+        throw new Error(`AI批量分类响应缺少结果数组: ${response.substring(0, 200)}`);
+      }
+
+      const parsedItems = {};
+      items.forEach(item => {
+        if (!item || typeof item !== 'object') {
+          return;
+        }
+
+        const id = String(item.id === undefined || item.id === null ? '' : item.id).trim();
+        const category = typeof item.category === 'string' ? item.category.trim() : '';
+        const ruleId = this.normalizeRuleId(item.rule);
+
+        if (!expectedIds.includes(id) || parsedItems[id] || !category || !ruleId) {
+          return;
+        }
+
+        parsedItems[id] = { category, ruleId };
+      });
+
+      return parsedItems;
+    },
+
+    /**
+     * AI新闻内容总结函数
+     * 正文不超过当前模型的 chunkChars 时单次总结，否则分段总结后合并
+     * @param {string} content - 需要总结的新闻内容
+     * @return {Object} 总结结果对象 { content, didSummarize, model }，model 为成功总结的模型键
+     */
+    summarizeContent: function(content) {
+      const aiUtils = this;
+
+      // 验证AI工具依赖
+      if (typeof UtilsAI === 'undefined' || typeof UtilsAI.withRetry !== 'function') {
+        Utils.logError(new Error('UtilsAI对象不可用，请确保已部署utils_ai.js文件'), "AI内容总结失败，返回原内容");
+        return {
+          content: content,
+          didSummarize: false
+        };
+      }
+
+      let correction = ''; // 上一个模型的总结未通过校验时，附加给下一个模型的纠正说明
+      let validationFailures = 0;
+      let lastRejected = null;
+      let partialSummaries = null; // 长文的分段要点，换模型时复用，只重做合并
+
+      const outcome = this.runModelChain(AI_SUMMARIZATION_MODELS, function(modelConfig) {
+        const modelKey = aiUtils.getModelKey(modelConfig);
+        const chunkChars = modelConfig.chunkChars || SUMMARIZATION_CHUNK_CONFIG.defaultChunkChars;
+        let response;
+
+        if (content.length <= chunkChars) {
+          response = aiUtils.requestSummary(modelConfig, correction + AI_SUMMARIZATION_PROMPT + content);
+        } else {
+          // 上一个模型的分段要点超过当前模型的输入上限时才重新分段
+          if (!partialSummaries || partialSummaries.length > chunkChars) {
+            partialSummaries = aiUtils.summarizeChunks(modelConfig, content, chunkChars);
+          }
+          response = aiUtils.requestSummary(modelConfig, correction + AI_REDUCE_SUMMARIZATION_PROMPT + partialSummaries);
+        }
+        let repaired = false;
+
+        if (SUMMARY_VALIDATION_CONFIG.enabled) {
+          let issues = aiUtils.validateSummary(response, content);
+
+          if (issues.some(issue => issue.repairable)) {
+            response = aiUtils.repairSummary(response);
+            repaired = true;
+            issues = aiUtils.validateSummary(response, content);
+          }
+
+          if (issues.length > 0) {
+            const reasons = issues.map(issue => issue.message).join('；');
+            validationFailures++;
+
+            // 纠正重试次数用尽：原文确实需要的词（如书评中的"作者"）换模型也无法避免，直接采用
+            if (validationFailures > (SUMMARY_VALIDATION_CONFIG.maxCorrectiveRetries || 0)) {
+              Utils.logAction('采用未通过校验的AI总结', {
+                name: modelKey,
+                extra: `${reasons}，已重试${validationFailures - 1}次`
+              });
+              return {
+                content: response,
+                didSummarize: true,
+                model: modelKey,
+                repaired: repaired,
+                validationFailures: validationFailures
+              };
+            }
+
+            lastRejected = { content: response, model: modelKey };
+            correction = `上一次总结未通过检查：${reasons}。请严格按照下面的要求重新总结。\n`;
+
+            const error = new Error(`AI总结未通过校验: ${reasons}`);
+            error.failoverModel = true;
+            throw error;
+          }
+        }
+
+        Utils.logAction("AI总结结果", {
+          model: modelKey,
+          contentLength: response.length
+        });
+
+        return {
+          content: response,
+          didSummarize: true,
+          model: modelKey,
+          repaired: repaired,
+          validationFailures: validationFailures
+        };
+      }, {
+        label: 'AI总结',
+        maxAttempts: 2,
+        retryDelaySeconds: 2
+      });
+
+      if (outcome.success) {
+        return outcome.result;
+      }
+
+      // 纠正重试的模型都调用失败时，使用未通过校验的总结（已做本地清理），比回退到长原文更接近预期
+      if (lastRejected) {
+        Utils.logAction('采用未通过校验的AI总结', {
+          name: lastRejected.model,
+          extra: `模型链中${validationFailures}次总结未通过校验`
+        });
+        return {
+          content: lastRejected.content,
+          didSummarize: true,
+          model: lastRejected.model,
+          repaired: false,
+          validationFailures: validationFailures
+        };
+      }
+
+      Utils.logError(new Error('AI总结模型链全部失败'), 'AI内容总结失败，返回原内容');
+      return {
+        content: content,
+        didSummarize: false,
+        validationFailures: validationFailures
+      };
+    },
+
+    /**
+     * 校验AI总结：长度、markdown标记、禁用词、前缀说明和输出语言
+     * @param {string} summary - 总结文本
+     * @param {string} source - 总结前的原文（用于判断应使用的语言）
+     * @return {Array<Object>} 问题列表 [{ type, message, repairable }]，为空表示通过
+     */
+    validateSummary: function(summary, source) {
+      const config = SUMMARY_VALIDATION_CONFIG;
+      const issues = [];
+
+      const length = summary.replace(/\s/g, '').length;
+      if (length > config.maxLength) {
+        issues.push({ type: 'length', message: `超过${config.maxLength}字（实际${length}字）`, repairable: false });
+      }
+
+      if (/\*\*|__|`|\[[^\]\n]+\]\([^)\s]+\)|^\s*(?:#{1,6}\s|[-*+]\s|>)/m.test(summary)) {
+        issues.push({ type: 'markdown', message: '包含markdown格式标记', repairable: true });
+      }
+
+      const checkedText = config.allowedPhrases.reduce((text, phrase) => text.split(phrase).join(''), summary);
+      const forbidden = config.forbiddenWords.filter(word => checkedText.includes(word));
+      if (forbidden.length > 0) {
+        issues.push({ type: 'forbiddenWord', message: `包含禁用词"${forbidden.join('"、"')}"`, repairable: false });
+      }
+
+      if (config.preamblePatterns.some(pattern => new RegExp(pattern).test(summary.trim()))) {
+        issues.push({ type: 'preamble', message: '开头包含"以下是总结"等说明文字', repairable: true });
+      }
+
+      const detectLanguage = text => NewsUtils.Translation.detectLanguage(text);
+      if (detectLanguage(source) === 'zh' && detectLanguage(summary) !== 'zh') {
+        issues.push({ type: 'language', message: '原文为中文，总结未使用中文', repairable: false });
+      }
+
+      return issues;
+    },
+
+    /**
+     * 本地清理AI总结中的markdown标记和开头说明文字
+     * @param {string} summary - 总结文本
+     * @return {string} 清理后的总结
+     */
+    repairSummary: function(summary) {
+      let text = summary
+        .replace(/\[([^\]\n]+)\]\([^)\s]+\)/g, '$1')
+        .replace(/\*\*|__|`/g, '')
+        .replace(/^\s*(?:#{1,6}\s+|[-*+]\s+|>\s?)/gm, '')
+        .trim();
+
+      let previous;
+      do {
+        previous = text;
+        SUMMARY_VALIDATION_CONFIG.preamblePatterns.forEach(pattern => {
+          text = text.replace(new RegExp(pattern), '').trim();
+        });
+      } while (text !== previous);
+
+      return text;
+    },
+
+    /**
+     * 发送一次总结请求并清理思考标签
+     * @param {Object} modelConfig - 模型配置
+     * @param {string} prompt - 完整提示词
+     * @return {string} 总结文本
+     */
+    requestSummary: function(modelConfig, prompt) {
+      const rawResponse = this.callModel(modelConfig, {
+        prompt: prompt,
+        temperature: 0.2,
+        maxTokens: 512
+      });
+
+      // 清理思考标签，提取最终结果
+      const response = this.cleanThinkingTags(rawResponse);
+
+      if (!response || response.trim().length === 0) {
+        throw new Error('AI总结返回空内容');
+      }
+
+      return response;
+    },
+
+    /**
+     * 长文分段提炼要点（最终总结由调用方用 AI_REDUCE_SUMMARIZATION_PROMPT 合并）
+     * 各段要点合计仍超过 chunkChars 时，按相同方式分组再提炼一轮
+     * @param {Object} modelConfig - 模型配置
+     * @param {string} content - 新闻正文
+     * @param {number} chunkChars - 该模型单次输入的最大字符数
+     * @return {string} 按顺序编号的各段要点，长度不超过 chunkChars
+     */
+    summarizeChunks: function(modelConfig, content, chunkChars) {
+      const aiUtils = this;
+      const modelKey = this.getModelKey(modelConfig);
+      let parts = this.splitIntoChunks(content, chunkChars);
+
+      Utils.logAction('AI分段总结', {
+        name: modelKey,
+        extra: `原文${content.length}字，分为${parts.length}段（每段不超过${chunkChars}字）`
+      });
+
+      while (true) {
+        const total = parts.length;
+        const partials = parts.map(function(part, index) {
+          const prompt = AI_CHUNK_SUMMARIZATION_PROMPT
+            .replace('{{index}}', index + 1)
+            .replace('{{total}}', total)
+            .replace('{{maxChars}}', SUMMARIZATION_CHUNK_CONFIG.partialMaxChars);
+          return aiUtils.requestSummary(modelConfig, prompt + part);
+        });
+
+        const combined = partials
+          .map((partial, index) => `【第${index + 1}部分】\n${partial}`)
+          .join('\n\n');
+
+        if (combined.length <= chunkChars) {
+          return combined;
+        }
+
+        // 分段要点仍然过长：每段要点作为一个段落重新分组
+        parts = this.splitIntoChunks(partials.join('\n'), chunkChars);
+        if (parts.length >= total) {
+          throw new Error(`分段要点无法继续合并: ${total}段要点共${combined.length}字`);
+        }
+
+        Utils.logAction('AI分段总结', {
+          name: modelKey,
+          extra: `${total}段要点共${combined.length}字，重新分为${parts.length}组`
+        });
+      }
+    },
+
+    /**
+     * 按段落把正文切分为不超过 maxChars 的分段
+     * 单个段落超长时按句末标点切分，单句仍超长时按字符数硬切
+     * @param {string} text - 正文
+     * @param {number} maxChars - 每段最大字符数
+     * @return {Array<string>} 分段列表
+     */
+    splitIntoChunks: function(text, maxChars) {
+      const pieces = [];
+
+      text.split(/\n+/).forEach(line => {
+        const paragraph = line.trim();
+        if (!paragraph) {
+          return;
+        }
+
+        if (paragraph.length <= maxChars) {
+          pieces.push(paragraph);
+          return;
+        }
+
+        let sentenceGroup = '';
+        paragraph.split(/(?<=[。！？!?；;]|\.\s)/).forEach(sentence => {
+          if (sentenceGroup && sentenceGroup.length + sentence.length > maxChars) {
+            pieces.push(sentenceGroup);
+            sentenceGroup = '';
+          }
+          sentenceGroup += sentence;
+
+          while (sentenceGroup.length > maxChars) {
+            pieces.push(sentenceGroup.slice(0, maxChars));
+            sentenceGroup = sentenceGroup.slice(maxChars);
+          }
+        });
+
+        if (sentenceGroup) {
+          pieces.push(sentenceGroup);
+        }
+      });
+
+      const chunks = [];
+      let current = '';
+
+      pieces.forEach(piece => {
+        if (current && current.length + 1 + piece.length > maxChars) {
+          chunks.push(current);
+          current = '';
+        }
+        current = current ? `${current}\n${piece}` : piece;
+      });
+
+      if (current) {
+        chunks.push(current);
+      }
+
+      return chunks;
+    },
+
+    /**
+     * 清理AI响应中的思考标签
+     * @param {string} rawResponse - 原始AI响应（可能包含思考标签）
+     * @return {string} 清理思考标签后的最终结果
+     */
+    cleanThinkingTags: function(rawResponse) {
+      return rawResponse
+        .replace(/<think>[\s\S]*?<\/think>/gi, '')
+        .replace(/<thinking>[\s\S]*?<\/thinking>/gi, '')
+        .replace(/<思考>[\s\S]*?<\/思考>/gi, '')
+        .trim();
+    }
+  },
+
+  /**
+   * 语言检测与翻译模块（复用 NewsUtils.AI 的模型调用和熔断逻辑）
+   */
+  Translation: {
+    /**
+     * 读取RSS源的翻译目标语言
+     * @param {Object} feedConfig - RSS源配置对象
+     * @return {Object|null} { code, language, name }，未配置或不支持时返回null
+     */
+    getTarget: function(feedConfig) {
+      const code = feedConfig && feedConfig.translate;
+      if (!code) {
+        return null;
+      }
+
+      const targetKey = Object.keys(TRANSLATION_CONFIG.targetLanguages).find(key => key.toLowerCase() === String(code).toLowerCase());
+      if (!targetKey) {
+        Utils.logError(new Error(`不支持的翻译目标语言: ${code}`), `读取翻译配置: ${feedConfig.name}`);
+        return null;
+      }
+
+      return Object.assign({ code: targetKey }, TRANSLATION_CONFIG.targetLanguages[targetKey]);
+    },
+
+    /**
+     * 按文字单位占比检测语言
+     * @param {string} text - 文本
+     * @return {string} 'zh'、'ja'、'ko'、'en' 或 'unknown'
+     */
+    detectLanguage: function(text) {
+      const config = TRANSLATION_CONFIG;
+      const count = pattern => ((text || '').match(pattern) || []).length;
+      const kana = count(/[\u3040-\u30ff]/g);
+      const chinese = count(/[\u4e00-\u9fff]/g);
+      const hangul = count(/[\uac00-\ud7af]/g);
+      const latin = count(/[A-Za-z\u00c0-\u024f]+/g);
+      const letters = kana + chinese + hangul + latin;
+
+      if (letters < config.minTextUnits) {
+        return 'unknown';
+      }
+      // 日文以汉字和假名混写，只要假名达到一定比例即判断为日文
+      if (kana / letters >= config.kanaRatio) {
+        return 'ja';
+      }
+      if (chinese / letters >= config.chineseRatio) {
+        return 'zh';
+      }
+      if (hangul / letters >= config.hangulRatio) {
+        return 'ko';
+      }
+      if (latin / letters >= config.latinRatio) {
+        return 'en';
+      }
+      return 'unknown';
+    },
+
+    /**
+     * 判断文本是否需要翻译为目标语言
+     * @param {string} language - detectLanguage 的检测结果
+     * @param {Object} target - getTarget 返回的目标语言
+     * @return {boolean} 是否需要翻译
+     */
+    needsTranslation: function(language, target) {
+      return !!target && language !== 'unknown' && language !== target.language;
+    },
+
+    /**
+     * 批量翻译新条目的标题（分类前调用）
+     * 翻译成功的条目：title 替换为译文，原标题写入 originalTitle，检测到的语言写入 language；
+     * 翻译失败的条目保留原标题。
+     * @param {Array<Object>} entries - RSS条目列表（就地修改）
+     * @param {Object} feedConfig - RSS源配置对象
+     * @return {number} 翻译成功的标题数量
+     */
+    translateEntryTitles: function(entries, feedConfig) {
+      const target = this.getTarget(feedConfig);
+      if (!target || entries.length === 0) {
+        return 0;
+      }
+
+      const pending = entries
+        .map(entry => ({ entry: entry, language: this.detectLanguage(entry.title) }))
+        .filter(item => this.needsTranslation(item.language, target));
+      if (pending.length === 0) {
+        return 0;
+      }
+
+      // 验证AI工具依赖
+      if (typeof UtilsAI === 'undefined' || typeof UtilsAI.withRetry !== 'function') {
+        Utils.logError(new Error('UtilsAI对象不可用，请确保已部署utils_ai.js文件'), `AI翻译 ${pending.length} 条标题`);
+        return 0;
+      }
+
+      const aiUtils = NewsUtils.AI;
+      const batchSize = Math.max(1, TRANSLATION_CONFIG.titleBatchSize || 20);
+      let translatedCount = 0;
+
+      for (let start = 0; start < pending.length; start += batchSize) {
+        const batch = pending.slice(start, start + batchSize);
+        const ids = batch.map((item, offset) => String(offset + 1));
+        const prompt = AI_TITLE_TRANSLATION_PROMPT.replace('{{target}}', target.name)
+          + JSON.stringify(batch.map((item, offset) => ({ id: ids[offset], title: item.entry.title })));
+
+        const outcome = aiUtils.runModelChain(AI_TRANSLATION_MODELS, function(modelConfig) {
+          const rawResponse = aiUtils.callModel(modelConfig, {
+            prompt: prompt,
+            temperature: 0.2,
+            responseFormat: 'json_object',
+            maxTokens: 64 + batch.length * 96
+          });
+          const translations = NewsUtils.Translation.parseTitleTranslations(aiUtils.cleanThinkingTags(rawResponse), ids);
+
+          if (Object.keys(translations).length === 0) {
+            throw new Error('AI标题翻译响应中没有任何有效条目');
+          }
+          return { translations: translations, modelKey: aiUtils.getModelKey(modelConfig) };
+        }, {
+          label: 'AI标题翻译',
+          maxAttempts: 2,
+          retryDelaySeconds: 1,
+          context: `${feedConfig.name}，${batch.length}条标题`
+        });
+
+        if (!outcome.success) {
+          Utils.logError(new Error('AI标题翻译模型链全部失败'), `翻译标题: ${feedConfig.name}，保留原标题`);
+          continue;
+        }
+
+        batch.forEach((item, offset) => {
+          const translated = outcome.result.translations[ids[offset]];
+          if (!translated) {
+            return;
+          }
+          item.entry.originalTitle = item.entry.title;
+          item.entry.title = translated;
+          item.entry.language = item.language;
+          translatedCount++;
+        });
+
+        Utils.logAction("AI标题翻译结果", {
+          name: feedConfig.name,
+          extra: `${outcome.result.modelKey}：翻译 ${Object.keys(outcome.result.translations).length}/${batch.length} 条`
+        });
+      }
+
+      return translatedCount;
+    },
+
+    /**
+     * 解析标题批量翻译的JSON回复
+     * @param {string} response - 清理思考标签后的回复
+     * @param {Array<string>} expectedIds - 本次请求的编号
+     * @return {Object} 以编号为key的译文
+     */
+    parseTitleTranslations: function(response, expectedIds) {
+      const jsonText = response.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
+      let data;
+
+      try {
+        data = JSON.parse(jsonText);
+      } catch (error) {
+        throw new Error(`AI标题翻译响应不是合法JSON: ${response.substring(0, 200)}`);
+      }
+
+      const items = Array.isArray(data) ? data : (data && (data.results || data.items));
+      if (!Array.isArray(items)) {
+        throw new Error(`AI标题翻译响应缺少结果数组: ${response.substring(0, 200)}`);
+      }
+
+      const translations = {};
+      items.forEach(item => {
+        if (!item || typeof item !== 'object') {
+          return;
+        }
+
+        const id = String(item.id === undefined || item.id === null ? '' : item.id).trim();
+        const title = typeof item.title === 'string' ? item.title.trim() : '';
+        if (expectedIds.includes(id) && !translations[id] && title) {
+          translations[id] = title;
+        }
+      });
+
+      return translations;
+    },
+
+    /**
+     * 翻译新闻正文（提取后、总结前调用），超过模型 chunkChars 时按段落分段翻译
+     * @param {string} content - 提取的正文
+     * @param {Object} feedConfig - RSS源配置对象
+     * @return {Object} { content, translated, language, model }，不需要翻译或翻译失败时 content 为原文
+     */
+    translateContent: function(content, feedConfig) {
+      const target = this.getTarget(feedConfig);
+      const language = this.detectLanguage(content);
+
+      if (!this.needsTranslation(language, target)) {
+        return { content: content, translated: false, language: language };
+      }
+
+      // 验证AI工具依赖
+      if (typeof UtilsAI === 'undefined' || typeof UtilsAI.withRetry !== 'function') {
+        Utils.logError(new Error('UtilsAI对象不可用，请确保已部署utils_ai.js文件'), 'AI正文翻译失败，保留原文');
+        return { content: content, translated: false, language: language };
+      }
+
+      const aiUtils = NewsUtils.AI;
+      const prompt = AI_TRANSLATION_PROMPT
+        .replace('{{source}}', TRANSLATION_CONFIG.languageNames[language] || '外文')
+        .replace('{{target}}', target.name);
+
+      const outcome = aiUtils.runModelChain(AI_TRANSLATION_MODELS, function(modelConfig) {
+        const chunks = aiUtils.splitIntoChunks(content, modelConfig.chunkChars || SUMMARIZATION_CHUNK_CONFIG.defaultChunkChars);
+        const translatedChunks = chunks.map(chunk => {
+          const response = aiUtils.cleanThinkingTags(aiUtils.callModel(modelConfig, {
+            prompt: prompt + chunk,
+            temperature: 0.2,
+            maxTokens: 4096
+          }));
+
+          if (!response || response.trim().length === 0) {
+            throw new Error('AI翻译返回空内容');
+          }
+          return response.trim();
+        });
+
+        return { content: translatedChunks.join('\n'), chunkCount: chunks.length, model: aiUtils.getModelKey(modelConfig) };
+      }, {
+        label: 'AI正文翻译',
+        maxAttempts: 2,
+        retryDelaySeconds: 2,
+        context: `${content.length}字符`
+      });
+
+      if (!outcome.success) {
+        Utils.logError(new Error('AI正文翻译模型链全部失败'), 'AI正文翻译失败，保留原文');
+        return { content: content, translated: false, language: language };
+      }
+
+      Utils.logAction("AI正文翻译结果", {
+        name: outcome.result.model,
+        extra: `${TRANSLATION_CONFIG.languageNames[language] || language} → ${target.name}，原文${content.length}字符（${outcome.result.chunkCount}段）→ 译文${outcome.result.content.length}字符`
+      });
+
+      return {
+        content: outcome.result.content,
+        translated: true,
+        language: language,
+        model: outcome.result.model
+      };
+    }
+  },
+
+  /**
+   * 关键词预过滤模块（AI分类之前按标题强制保留或跳过）
+   */
+  KeywordFilter: {
+    /**
+     * 编译RSS源规则和全局规则，源规则在前；正则无效或缺少匹配条件的规则记录错误后忽略
+     * @param {Object} feedConfig - RSS源配置对象（可选，读取 keywordRules）
+     * @return {Array<Object>} 编译后的规则 { action, keywords, regex, category, label }
+     */
+    compileRules: function(feedConfig) {
+      if (!KEYWORD_FILTER_CONFIG.enabled) {
+        return [];
+      }
+
+      const scopes = [
+        { name: '本源', rules: (feedConfig && feedConfig.keywordRules) || [] },
+        { name: '全局', rules: KEYWORD_FILTER_CONFIG.rules || [] }
+      ];
+      const compiled = [];
+
+      scopes.forEach(scope => {
+        scope.rules.forEach((rule, index) => {
+          const label = `${scope.name}规则${index + 1}${rule.description ? `（${rule.description}）` : ''}`;
+          try {
+            if (rule.action !== 'keep' && rule.action !== 'skip') {
+              throw new Error(`action 必须是 'keep' 或 'skip'，实际为: ${rule.action}`);
+            }
+
+            const keywords = (rule.keywords || []).map(keyword => String(keyword).trim().toLowerCase()).filter(keyword => keyword.length > 0);
+            const regex = rule.pattern ? new RegExp(rule.pattern, rule.flags === undefined ? 'i' : rule.flags) : null;
+            if (keywords.length === 0 && !regex) {
+              throw new Error('缺少 keywords 或 pattern');
+            }
+
+            compiled.push({
+              action: rule.action,
+              keywords: keywords,
+              regex: regex,
+              category: rule.category || (rule.action === 'keep' ? '其他新闻' : '关键词过滤'),
+              label: label
+            });
+          } catch (error) {
+            Utils.logError(error, `关键词规则无效: ${feedConfig ? feedConfig.name : ''} ${label}`);
+          }
+        });
+      });
+
+      return compiled;
+    },
+
+    /**
+     * 按规则判断标题，命中时返回与AI分类结构相同的结果
+     * @param {Array<Object>} rules - compileRules 返回的规则
+     * @param {string} title - 新闻标题
+     * @return {Object|null} { shouldSave, category, rule, model, keywordAction }，未命中返回null
+     */
+    classify: function(rules, title) {
+      const lowerTitle = String(title || '').toLowerCase();
+
+      for (const rule of rules) {
+        const keyword = rule.keywords.find(candidate => lowerTitle.indexOf(candidate) !== -1);
+        const regexMatch = !keyword && rule.regex ? String(title).match(rule.regex) : null;
+        if (!keyword && !regexMatch) {
+          continue;
+        }
+
+        const matchedText = keyword || regexMatch[0];
+        Utils.logAction("关键词规则命中", {
+          title: title.substring(0, 50) + (title.length > 50 ? '...' : ''),
+          extra: `${rule.label}，匹配"${matchedText}"，${rule.action === 'keep' ? '强制保留' : '强制跳过'}`
+        });
+
+        return {
+          shouldSave: rule.action === 'keep',
+          category: rule.category,
+          rule: { id: 'keyword', description: `${rule.label} 匹配"${matchedText}"` },
+          model: 'keyword-filter',
+          keywordAction: rule.action
+        };
+      }
+
+      return null;
+    }
+  },
+
+  /**
+   * 存储工具模块（简化包装，调用通用工具函数）
+   */
+  Storage: {
+    /**
+     * 创建新闻文件夹结构
+     * @param {string} rootFolder - 根文件夹名称
+     * @param {string} subFolder - 子文件夹名称
+     * @return {GoogleAppsScript.Drive.Folder} 文件夹对象
+     */
+    createNewsDateFolder: function(rootFolder, subFolder) {
+      try {
+        // 验证Google工具依赖
+        if (typeof UtilsGoogleDrive === 'undefined' || typeof UtilsGoogleDrive.ensureNestedFolderExists !== 'function') {
+          throw new Error('UtilsGoogleDrive对象或ensureNestedFolderExists函数不可用，请确保已部署utils_google_drive.js文件');
+        }
+
+        // 构建固定新闻文本存储路径：rootFolder/subFolder
+        const folderPath = `${rootFolder}/${subFolder}`;
+        const dateFolder = UtilsGoogleDrive.ensureNestedFolderExists(folderPath);
+
+        if (!dateFolder) {
+          throw new Error(`无法创建文件夹路径: ${folderPath}`);
+        }
+
+        Utils.logAction("创建新闻文件夹", {
+          path: folderPath,
+          status: "成功"
+        });
+
+        return dateFolder;
+
+      } catch (error) {
+        Utils.logError(error, `创建新闻文件夹: ${rootFolder}/${subFolder}`);
+        return null;
+      }
+    },
+
+    /**
+     * 格式化新闻文件内容
+     * @param {Object} fields - 新闻字段对象
+     * @param {string} fields.source - 新闻来源
+     * @param {string} fields.category - 新闻分类
+     * @param {string} fields.title - 新闻标题
+     * @param {string} fields.content - 新闻正文内容
+     * @param {boolean} fields.isAISummarized - 是否为AI总结内容
+     * @param {string} fields.originalTitle - 翻译前的原标题（可选）
+     * @return {string} 格式化的新闻内容
+     */
+    formatNewsContent: function(fields) {
+      const { source, category, title, content, isAISummarized = false, originalTitle } = fields;
+
+      // 根据是否为AI总结内容，在内容前添加不同标识
+      const contentPrefix = isAISummarized ? 'AI总结：\n' : '新闻原文：\n';
+      const finalContent = contentPrefix + (content || '【内容为空】');
+
+      // 构建文件内容，包含来源、分类、标题、正文四个部分
+      const formattedContent = `来源：${source || '未知'}
+分类：${category || '未分类'}
+
+${title || '【无标题】'}${originalTitle ? `\n原标题：${originalTitle}` : ''}
+
+${finalContent}`;
+
+      return formattedContent;
+    },
+
+    /**
+     * 格式化单条新闻的HTML片段（与 formatNewsContent 字段相同，另支持 link、time）
+     * @param {Object} fields - 新闻字段对象
+     * @return {string} HTML片段
+     */
+    formatNewsHtml: function(fields) {
+      const { source, category, title, content, isAISummarized = false, link, time } = fields;
+      const escapedTitle = Utils.escapeHtml(title || '【无标题】');
+      const meta = [`来源：${source || '未知'}`, `分类：${category || '未分类'}`, time, isAISummarized ? 'AI总结' : '']
+        .filter(Boolean)
+        .map(text => Utils.escapeHtml(text))
+        .join(' · ');
+
+      return `<div style="margin:0 0 20px;">
+  <h3 style="margin:0 0 4px;font-size:16px;">${link ? `<a href="${Utils.escapeHtml(link)}" style="color:#1a0dab;text-decoration:none;">${escapedTitle}</a>` : escapedTitle}</h3>
+  <p style="margin:0 0 6px;font-size:12px;color:#888;">${meta}</p>
+  <p style="margin:0;font-size:14px;line-height:1.6;color:#333;">${Utils.escapeHtml(content || '【内容为空】').replace(/\n/g, '<br>')}</p>
+</div>`;
+    },
+
+    /**
+     * 获取当前配置的输出格式
+     * @return {string} 'text'、'markdown' 或 'json'，未知配置回退为 'text'
+     */
+    getOutputFormat: function() {
+      const format = STORAGE_CONFIG.outputFormat;
+      return ['text', 'markdown', 'json'].includes(format) ? format : 'text';
+    },
+
+    /**
+     * 构建新闻元数据（JSON文档、Markdown front matter 和 .json 元数据文件共用）
+     * @param {Object} fields - 新闻字段对象（formatNewsContent 的字段，另含 link、pubDate、guid、
+     *   classificationModel、summarizationModel、originalLength、originalTitle、language、translationModel）
+     * @return {Object} 元数据对象（不含正文）
+     */
+    buildNewsMetadata: function(fields) {
+      return {
+        title: fields.title || '',
+        source: fields.source || '',
+        category: fields.category || '',
+        link: fields.link || null,
+        pubDate: fields.pubDate || null,
+        guid: fields.guid || null,
+        classificationModel: fields.classificationModel || null,
+        summarizationModel: fields.isAISummarized ? (fields.summarizationModel || null) : null,
+        isAISummarized: !!fields.isAISummarized,
+        originalLength: typeof fields.originalLength === 'number' ? fields.originalLength : null,
+        originalTitle: fields.originalTitle || null,
+        language: fields.language || null,
+        translationModel: fields.translationModel || null,
+        contentLength: (fields.content || '').length,
+        savedAt: new Date().toISOString(),
+        otherSources: []
+      };
+    },
+
+    /**
+     * 按配置的输出格式生成新闻文件内容
+     * @param {Object} fields - 新闻字段对象（同 buildNewsMetadata）
+     * @return {string} 文件内容
+     */
+    renderNewsFile: function(fields) {
+      const format = this.getOutputFormat();
+      const metadata = this.buildNewsMetadata(fields);
+
+      if (format === 'json') {
+        return JSON.stringify(Object.assign(metadata, { content: fields.content || '' }), null, 2);
+      }
+
+      if (format === 'markdown') {
+        // 字符串值用JSON双引号形式书写，是合法的YAML标量，无需额外转义
+        const frontMatter = Object.keys(metadata)
+          .filter(key => key !== 'otherSources')
+          .map(key => `${key}: ${JSON.stringify(metadata[key])}`)
+          .join('\n');
+        return `---\n${frontMatter}\n---\n\n${this.formatNewsContent(fields)}\n`;
+      }
+
+      return this.formatNewsContent(fields);
+    },
+
+    /**
+     * 根据新闻标题生成文件名
+     * 提供去重主键时在标题后追加主键的短哈希，不同新闻标题相同也不会互相覆盖
+     * @param {string} title - 新闻标题
+     * @param {string} format - 输出格式（可选，默认使用 STORAGE_CONFIG.outputFormat）
+     * @param {string} fileKey - 去重主键（可选，见 SeenIndex.getEntryKeys）
+     * @return {string} 安全文件名（含与输出格式对应的扩展名）
+     */
+    getNewsFileName: function(title, format, fileKey) {
+      const extensions = { text: '.txt', markdown: '.md', json: '.json' };
+      const suffix = fileKey ? '_' + NewsUtils.NearDuplicate.hash32(fileKey, 2166136261).toString(16).padStart(8, '0') : '';
+      return Utils.safeFileName(title, 100) + suffix + extensions[format || this.getOutputFormat()];
+    },
+
+    /**
+     * 在已保存的新闻文件中追加其他来源
+     * 文本和Markdown文件在已有来源行之后插入"其他来源"行；JSON文档和 .json 元数据文件追加到 otherSources 数组。
+     * @param {GoogleAppsScript.Drive.Folder} folder - 新闻文件夹
+     * @param {string} fileName - 已保存新闻的文件名
+     * @param {string} source - 其他来源名称
+     * @param {string} link - 其他来源的文章链接（可选）
+     * @return {boolean} 是否追加成功（文件已被清理时返回false）
+     */
+    appendOtherSource: function(folder, fileName, source, link) {
+      const content = UtilsGoogleDrive.readFileContent(folder, fileName);
+      if (content === null) {
+        return false;
+      }
+
+      if (/\.json$/i.test(fileName)) {
+        return this.appendOtherSourceToJson(folder, fileName, content, source, link);
+      }
+
+      const sidecarName = fileName.replace(/\.[^.]+$/, '.json');
+      const sidecarContent = UtilsGoogleDrive.readFileContent(folder, sidecarName);
+      if (sidecarContent !== null) {
+        this.appendOtherSourceToJson(folder, sidecarName, sidecarContent, source, link);
+      }
+
+      const sourceLine = `其他来源：${source}${link ? ` ${link}` : ''}`;
+      if (content.includes(sourceLine)) {
+        return true;
+      }
+
+      // Markdown文件的来源行位于front matter之后，从第一条来源行开始查找插入位置
+      const lines = content.split('\n');
+      let insertIndex = Math.max(0, lines.findIndex(line => /^来源：/.test(line)));
+      while (insertIndex < lines.length && /^(来源|其他来源)：/.test(lines[insertIndex])) {
+        insertIndex++;
+      }
+      lines.splice(insertIndex, 0, sourceLine);
+
+      return UtilsGoogleDrive.saveOrUpdateFile(folder, fileName, lines.join('\n'));
+    },
+
+    /**
+     * 在JSON新闻文档或元数据文件的 otherSources 数组中追加来源
+     * @private
+     */
+    appendOtherSourceToJson: function(folder, fileName, content, source, link) {
+      try {
+        const data = JSON.parse(content);
+        data.otherSources = data.otherSources || [];
+        if (data.otherSources.some(item => item.source === source && item.link === (link || null))) {
+          return true;
+        }
+
+        data.otherSources.push({ source: source, link: link || null });
+        return UtilsGoogleDrive.saveOrUpdateFile(folder, fileName, JSON.stringify(data, null, 2));
+      } catch (error) {
+        Utils.logError(error, `追加其他来源: ${fileName}`);
+        return false;
+      }
+    },
+
+    /**
+     * 读取已保存新闻的正文（兼容 text / markdown / json 三种输出格式）
+     * @param {GoogleAppsScript.Drive.Folder} folder - 新闻文件夹
+     * @param {string} fileName - 新闻文件名
+     * @return {Object|null} { content, isAISummarized }，文件不存在或无法解析时返回null
+     */
+    readNewsFile: function(folder, fileName) {
+      const raw = folder ? UtilsGoogleDrive.readFileContent(folder, fileName) : null;
+      if (raw === null) {
+        return null;
+      }
+
+      if (/\.json$/i.test(fileName)) {
+        try {
+          const data = JSON.parse(raw);
+          return { content: data.content || '', isAISummarized: !!data.isAISummarized };
+        } catch (error) {
+          Utils.logError(error, `解析新闻文件: ${fileName}`);
+          return null;
+        }
+      }
+
+      // 正文位于"AI总结："或"新闻原文："标识行之后
+      const match = raw.match(/(?:^|\n)(AI总结|新闻原文)：\n([\s\S]*)$/);
+      return match
+        ? { content: match[2].trim(), isAISummarized: match[1] === 'AI总结' }
+        : { content: raw.trim(), isAISummarized: false };
+    },
+
+    /**
+     * 保存新闻到Google Drive
+     * @param {GoogleAppsScript.Drive.Folder} folder - 目标文件夹
+     * @param {string} title - 新闻标题
+     * @param {string} content - 新闻内容
+     * @param {Object} metadata - 新闻元数据（可选，jsonSidecar 开启时写入同名 .json 文件）
+     * @param {string} fileKey - 去重主键（可选，用于生成唯一文件名）
+     * @return {boolean} 是否保存成功
+     */
+    saveNewsToDrive: function(folder, title, content, metadata, fileKey) {
+      try {
+        // 验证Google工具依赖
+        if (typeof UtilsGoogleDrive === 'undefined' || typeof UtilsGoogleDrive.saveOrUpdateFile !== 'function') {
+          throw new Error('UtilsGoogleDrive对象或saveOrUpdateFile函数不可用，请确保已部署utils_google_drive.js文件');
+        }
+
+        // 1. 生成安全文件名
+        const safeFileName = this.getNewsFileName(title, null, fileKey);
+
+        // 2. 使用通用工具函数保存或更新文件
+        const success = UtilsGoogleDrive.saveOrUpdateFile(folder, safeFileName, content);
+
+        // 3. 记录保存信息
+        if (success) {
+          Utils.logAction("保存新闻到Drive", {
+            title: title.substring(0, 50) + (title.length > 50 ? '...' : ''),
+            fileName: safeFileName,
+            contentLength: content.length,
+            folderPath: `${folder.getName()}`
+          });
+        } else {
+          Utils.logError(new Error(`保存文件失败: ${safeFileName}`), "saveNewsToDrive");
+        }
+
+        // 4. 写入 .json 元数据文件（JSON格式本身已包含元数据）
+        if (success && metadata && STORAGE_CONFIG.jsonSidecar && this.getOutputFormat() !== 'json') {
+          const sidecarFileName = this.getNewsFileName(title, 'json', fileKey);
+          if (!UtilsGoogleDrive.saveOrUpdateFile(folder, sidecarFileName, JSON.stringify(metadata, null, 2))) {
+            Utils.logError(new Error(`保存元数据文件失败: ${sidecarFileName}`), "saveNewsToDrive");
+          }
+        }
+
+        return success;
+
+      } catch (error) {
+        Utils.logError(error, `保存新闻到Drive: ${title.substring(0, 50)}...`);
+        return false;
+      }
+    }
+  },
+
+  /**
+   * 已处理条目索引模块（按链接/guid去重，持久化在Drive JSON文件中）
+   */
+  SeenIndex: {
+    /**
+     * 获取索引文件所在文件夹
+     * @return {GoogleAppsScript.Drive.Folder|null} 文件夹对象
+     */
+    getFolder: function() {
+      return UtilsGoogleDrive.ensureNestedFolderExists(`${STORAGE_CONFIG.rootFolder}/${SEEN_INDEX_CONFIG.subFolder}`);
+    },
+
+    /**
+     * 从Drive读取索引文件内容
+     * 文件不存在时返回空对象；文件存在但读取失败时返回null，调用方不得用空索引覆盖该文件。
+     * 内容无法解析时先备份原文件，备份成功后按空索引处理。
+     * @param {GoogleAppsScript.Drive.Folder} folder - 索引文件夹
+     * @return {Object|null} 以主键为key的记录对象，读取失败时返回null
+     */
+    readRecords: function(folder) {
+      if (!folder) {
+        return {};
+      }
+
+      let raw;
+      try {
+        const file = UtilsGoogleDrive.findFileInFolder(folder, SEEN_INDEX_CONFIG.fileName);
+        if (!file) {
+          return {};
+        }
+        raw = file.getBlob().getDataAsString('UTF-8');
+      } catch (error) {
+        Utils.logError(error, `读取已处理条目索引: ${SEEN_INDEX_CONFIG.fileName}`);
+        return null;
+      }
+
+      try {
+        const data = JSON.parse(raw);
+        return (data && data.items) || {};
+      } catch (error) {
+        Utils.logError(error, `解析已处理条目索引: ${SEEN_INDEX_CONFIG.fileName}`);
+        return this.backupUnreadableFile(folder, SEEN_INDEX_CONFIG.fileName, raw) ? {} : null;
+      }
+    },
+
+    /**
+     * 备份无法解析的JSON文件（文件名加时间戳），供人工检查或恢复
+     * 已处理条目索引和RSS源健康记录共用
+     * @param {GoogleAppsScript.Drive.Folder} folder - 文件所在文件夹
+     * @param {string} fileName - 原文件名
+     * @param {string} raw - 原文件内容
+     * @return {boolean} 是否备份成功
+     */
+    backupUnreadableFile: function(folder, fileName, raw) {
+      const backupName = fileName.replace(/\.json$/, '') + `.corrupt_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+      const success = UtilsGoogleDrive.saveOrUpdateFile(folder, backupName, raw);
+
+      if (success) {
+        Utils.logAction("备份无法解析的文件", { name: backupName });
+      } else {
+        Utils.logError(new Error('备份文件写入失败'), `备份无法解析的文件: ${backupName}`);
+      }
+      return success;
+    },
+
+    /**
+     * 加载已处理条目索引，并建立 键 → 主键 的查找表
+     * @return {Object} 索引对象 { records, lookup, changed, folder }
+     */
+    load: function() {
+      const folder = this.getFolder();
+      const storedRecords = this.readRecords(folder);
+      const records = this.pruneRecords(storedRecords || {});
+      const index = { records: records, lookup: {}, changed: {}, folder: folder };
+
+      Object.keys(records).forEach(primaryKey => this.addToLookup(index, primaryKey, records[primaryKey]));
+
+      Utils.logAction("加载已处理条目索引", {
+        name: SEEN_INDEX_CONFIG.fileName,
+        extra: storedRecords
+          ? `共 ${Object.keys(records).length} 条记录`
+          : '读取失败，本次按空索引处理，保存时不会覆盖索引文件'
+      });
+      return index;
+    },
+
+    /**
+     * 将记录的所有键加入查找表
+     * @private
+     */
+    addToLookup: function(index, primaryKey, record) {
+      (record.keys || [primaryKey]).forEach(key => {
+        index.lookup[key] = primaryKey;
+      });
+    },
+
+    /**
+     * 规范化文章链接：去掉协议、www前缀、锚点、跟踪参数和末尾斜杠，域名小写
+     * @param {string} link - 原始链接
+     * @return {string} 规范化后的链接，无效时返回空字符串
+     */
+    normalizeLink: function(link) {
+      const match = String(link || '').trim().match(/^(?:https?:)?\/\/([^\/?#]+)([^?#]*)(\?[^#]*)?/i);
+      if (!match) {
+        return '';
+      }
+
+      const host = match[1].toLowerCase().replace(/^www\./, '');
+      const path = match[2].replace(/\/+$/, '');
+      const query = (match[3] || '').substring(1).split('&').filter(param => {
+        const name = param.split('=')[0].toLowerCase();
+        return param && !name.startsWith('utm_') && !SEEN_INDEX_CONFIG.trackingParams.includes(name);
+      }).sort();
+
+      return host + path + (query.length > 0 ? '?' + query.join('&') : '');
+    },
+
+    /**
+     * 生成条目的去重键：规范化链接、RSS guid / Atom id，两者都没有时回退到"源名称+标题"
+     * @param {Object} entry - 新闻条目
+     * @param {Object} feedConfig - RSS源配置
+     * @return {Array<string>} 去重键数组（第一个为主键）
+     */
+    getEntryKeys: function(entry, feedConfig) {
+      const keys = [];
+      const link = this.normalizeLink(entry.link);
+      const guid = String(entry.guid || entry.id || '').trim();
+
+      if (link) {
+        keys.push(`link:${link}`);
+      }
+      if (guid) {
+        // permalink形式的guid按链接规范化，避免协议或跟踪参数差异
+        const guidLink = this.normalizeLink(guid);
+        const guidKey = guidLink ? `link:${guidLink}` : `guid:${guid}`;
+        if (!keys.includes(guidKey)) {
+          keys.push(guidKey);
+        }
+      }
+      if (keys.length === 0 && entry.title) {
+        keys.push(`title:${feedConfig ? feedConfig.name : ''}:${Utils.safeFileName(entry.title, 100)}`);
+      }
+
+      return keys;
+    },
+
+    /**
+     * 查找任一去重键已存在的记录
+     * @param {Object} index - 索引对象
+     * @param {Array<string>} keys - 去重键数组
+     * @return {Object|null} 已存在的记录
+     */
+    find: function(index, keys) {
+      for (const key of keys) {
+        const primaryKey = index.lookup[key];
+        if (primaryKey && index.records[primaryKey]) {
+          return index.records[primaryKey];
+        }
+      }
+      return null;
+    },
+
+    /**
+     * 标记条目为已处理
+     * @param {Object} index - 索引对象
+     * @param {Array<string>} keys - 去重键数组
+     * @param {Object} fields - 记录字段（title、source、status、category、fileName等）
+     * @return {Object} 写入的记录
+     */
+    markSeen: function(index, keys, fields) {
+      if (!keys || keys.length === 0) {
+        return null;
+      }
+
+      const primaryKey = index.lookup[keys[0]] || keys[0];
+      const existing = index.records[primaryKey] || {};
+      const record = Object.assign({}, existing, fields, {
+        keys: Array.from(new Set((existing.keys || []).concat(keys))),
+        seenAt: Date.now()
+      });
+
+      index.records[primaryKey] = record;
+      index.changed[primaryKey] = record;
+      this.addToLookup(index, primaryKey, record);
+      return record;
+    },
+
+    /**
+     * 清除超过保留天数的记录
+     * @param {Object} records - 记录对象
+     * @return {Object} 清理后的记录对象
+     */
+    pruneRecords: function(records) {
+      const cutoff = Date.now() - SEEN_INDEX_CONFIG.retentionDays * 24 * 60 * 60 * 1000;
+      const kept = {};
+
+      Object.keys(records).forEach(primaryKey => {
+        if ((records[primaryKey].seenAt || 0) >= cutoff) {
+          kept[primaryKey] = records[primaryKey];
+        }
+      });
+
+      return kept;
+    },
+
+    /**
+     * 保存本次执行新增或修改的记录
+     * 在脚本锁内重新读取索引文件后合并，避免多个分组同时运行时互相覆盖。
+     * @param {Object} index - 索引对象
+     * @return {boolean} 是否保存成功
+     */
+    save: function(index) {
+      const changedKeys = Object.keys(index.changed);
+      if (changedKeys.length === 0 || !index.folder) {
+        return true;
+      }
+
+      const lock = LockService.getScriptLock();
+      if (!lock.tryLock(10000)) {
+        Utils.logError(new Error('获取脚本锁超时'), '保存已处理条目索引');
+        return false;
+      }
+
+      try {
+        const records = this.readRecords(index.folder);
+        if (!records) {
+          // 索引文件存在但读取失败：不能用本次的变更覆盖全部历史记录
+          Utils.logError(new Error('索引文件读取失败'), `保存已处理条目索引: 放弃写入 ${changedKeys.length} 条变更`);
+          return false;
+        }
+
+        changedKeys.forEach(primaryKey => {
+          records[primaryKey] = index.changed[primaryKey];
+        });
+
+        const prunedRecords = this.pruneRecords(records);
+        const success = UtilsGoogleDrive.saveOrUpdateFile(index.folder, SEEN_INDEX_CONFIG.fileName, JSON.stringify({
+          updatedAt: new Date().toISOString(),
+          items: prunedRecords
+        }));
+
+        if (success) {
+          index.records = prunedRecords;
+          index.lookup = {};
+          index.changed = {};
+          Object.keys(prunedRecords).forEach(primaryKey => this.addToLookup(index, primaryKey, prunedRecords[primaryKey]));
+          Utils.logAction("保存已处理条目索引", { name: SEEN_INDEX_CONFIG.fileName, extra: `写入 ${changedKeys.length} 条，共 ${Object.keys(prunedRecords).length} 条记录` });
+        }
+
+        return success;
+      } finally {
+        lock.releaseLock();
+      }
     }
   },
 
   /**
-   * 内容处理模块
+   * RSS源健康状态模块（记录抓取结果，自动暂停和恢复持续失败的源）
    */
-  Content: {
+  FeedHealth: {
     /**
-     * 智能内容提取器
-     * @param {Object} entry - 新闻条目对象
-     * @param {Object} feedConfig - RSS源配置对象（可选）
-     * @return {string} 提取的新闻正文内容
+     * 加载所有RSS源的健康记录
+     * @return {Object} 健康状态对象 { records, changed, folder }，records 以源URL为key
      */
-    extractNewsContent: function(entry, feedConfig) {
-      let finalContent = '';
-      let sourceType = 'rss'; // rss 或 detail_page
-      let detailPageContent = '';
-
-      // 1. 检查是否应该尝试详情页抓取
-      // 逻辑：全局启用 && 链接有效 && (feed未配置detailPageConfig 或 feed配置的enabled不为false)
-      const shouldFetchDetailPage = CONTENT_CONFIG.detailPageEnabled
-        && entry.link && entry.link.trim().length > 0
-        && (!feedConfig || !feedConfig.detailPageConfig || feedConfig.detailPageConfig.enabled !== false);
+    load: function() {
+      const folder = NewsUtils.SeenIndex.getFolder();
+      const storedRecords = this.readRecords(folder);
+
+      if (!storedRecords) {
+        Utils.logAction("加载RSS源健康记录", {
+          name: FEED_HEALTH_CONFIG.fileName,
+          extra: '读取失败，本次按空记录处理，保存时不会覆盖健康记录文件'
+        });
+      }
+      return { records: storedRecords || {}, changed: {}, folder: folder };
+    },
 
-      // 2. 首先尝试详情页抓取（如果启用）
-      if (shouldFetchDetailPage) {
-        // 获取feed特定的详情页配置（可能为undefined）
-        const detailPageConfig = feedConfig ? feedConfig.detailPageConfig : undefined;
-        detailPageContent = this.fetchDetailPageContent(entry.link, detailPageConfig);
+    /**
+     * 从Drive读取健康记录文件
+     * 文件不存在时返回空对象；文件存在但读取失败时返回null，调用方不得用空记录覆盖该文件。
+     * 内容无法解析时先备份原文件，备份成功后按空记录处理。
+     * @private
+     */
+    readRecords: function(folder) {
+      if (!folder) {
+        return {};
+      }
 
-        if (detailPageContent && detailPageContent.trim().length > 0) {
-          finalContent = detailPageContent;
-          sourceType = 'detail_page';
+      let raw;
+      try {
+        const file = UtilsGoogleDrive.findFileInFolder(folder, FEED_HEALTH_CONFIG.fileName);
+        if (!file) {
+          return {};
         }
+        raw = file.getBlob().getDataAsString('UTF-8');
+      } catch (error) {
+        Utils.logError(error, `读取RSS源健康记录: ${FEED_HEALTH_CONFIG.fileName}`);
+        return null;
       }
 
-      // 3. 如果详情页内容不可用，尝试RSS内容
-      if (!finalContent) {
-        // 尝试不同RSS内容字段（按优先级）
-        const contentSources = [
-          entry['content:encoded'],  // RSS 2.0扩展
-          entry.content,             // Atom
-          entry.description,         // 标准RSS
-          entry.summary              // Atom摘要
-        ];
+      try {
+        const data = JSON.parse(raw);
+        return (data && data.feeds) || {};
+      } catch (error) {
+        Utils.logError(error, `解析RSS源健康记录: ${FEED_HEALTH_CONFIG.fileName}`);
+        return NewsUtils.SeenIndex.backupUnreadableFile(folder, FEED_HEALTH_CONFIG.fileName, raw) ? {} : null;
+      }
+    },
 
-        // 提取第一个有效内容
-        let rawContent = contentSources.find(src => src && src.trim().length > 0);
+    /**
+     * 判断RSS源是否处于暂停状态（到达重新探测时间的暂停源返回false，本次作为探测正常抓取）
+     * @param {Object} health - 健康状态对象
+     * @param {Object} feed - RSS源配置
+     * @return {boolean} 是否跳过该源
+     */
+    isSuspended: function(health, feed) {
+      const record = health.records[feed.url];
+      return !!(record && record.suspendedAt && Date.now() < (record.nextProbeAt || 0));
+    },
 
-        if (!rawContent) {
-          // 如果RSS内容和详情页内容都不可用
-          if (detailPageContent && detailPageContent.trim().length > 0) {
-            finalContent = detailPageContent;
-            sourceType = 'detail_page_fallback';
-          } else {
-            return '【内容提取失败】';
+    /**
+     * 根据抓取结果更新RSS源健康记录
+     * @param {Object} health - 健康状态对象
+     * @param {Object} feed - RSS源配置
+     * @param {Object} fetchResult - NewsUtils.RSS.fetchFeed 的返回值
+     * @return {Object} 更新后的记录
+     */
+    recordFetch: function(health, feed, fetchResult) {
+      const now = Date.now();
+      const previous = health.records[feed.url] || { firstCheckAt: now, consecutiveFailures: 0, totalFailures: 0, parseErrors: 0 };
+      const record = Object.assign({}, previous, {
+        name: feed.name,
+        lastCheckAt: now,
+        lastHttpStatus: fetchResult.httpStatus
+      });
+
+      if (fetchResult.success) {
+        if (record.suspendedAt) {
+          Utils.logAction("RSS源恢复", { name: feed.name, extra: `暂停期间探测成功，已恢复正常抓取` });
+        }
+
+        Object.assign(record, {
+          lastSuccessAt: now,
+          consecutiveFailures: 0,
+          lastError: null,
+          suspendedAt: null,
+          nextProbeAt: null
+        });
+        if (fetchResult.notModified) {
+          // 304：内容与上次相同，沿用上次的条目数
+          if (record.lastEntryCount > 0) {
+            record.lastNonEmptyAt = now;
           }
         } else {
-          const sourceName = this.getContentSourceName(entry, contentSources, rawContent);
-
-          // 清理和格式化RSS内容
-          try {
-            const cleanedContent = Utils.cleanHtmlContent(rawContent, {
-              keepParagraphs: true,
-              removeImages: true
+          record.lastEntryCount = fetchResult.entries.length;
+          if (fetchResult.entries.length > 0) {
+            record.lastNonEmptyAt = now;
+          } else if (this.isEmptyTooLong(record, now)) {
+            Utils.logAction("RSS源长期无条目", {
+              name: feed.name,
+              extra: `已超过${FEED_HEALTH_CONFIG.emptyAlertDays}天抓取成功但没有任何条目，请检查源地址`
             });
-
-            finalContent = cleanedContent;
-            sourceType = 'rss';
-
-          } catch (error) {
-            Utils.logError(error, "RSS HTML内容清理");
-            // 清理失败，尝试使用详情页内容作为备用
-            if (detailPageContent && detailPageContent.trim().length > 0) {
-              finalContent = detailPageContent;
-              sourceType = 'detail_page_fallback_error';
-            } else {
-              return '【内容清理失败】';
-            }
           }
         }
+      } else {
+        Object.assign(record, {
+          consecutiveFailures: (record.consecutiveFailures || 0) + 1,
+          totalFailures: (record.totalFailures || 0) + 1,
+          parseErrors: (record.parseErrors || 0) + (fetchResult.errorType === 'parse' ? 1 : 0),
+          lastFailureAt: now,
+          lastError: String(fetchResult.error || '').substring(0, 200)
+        });
+
+        if (record.suspendedAt) {
+          record.nextProbeAt = now + FEED_HEALTH_CONFIG.reprobeHours * 60 * 60 * 1000;
+          Utils.logAction("RSS源探测失败", { name: feed.name, extra: `继续暂停，${FEED_HEALTH_CONFIG.reprobeHours}小时后再次探测` });
+        } else if (record.consecutiveFailures >= FEED_HEALTH_CONFIG.suspendAfterFailures) {
+          record.suspendedAt = now;
+          record.nextProbeAt = now + FEED_HEALTH_CONFIG.reprobeHours * 60 * 60 * 1000;
+          Utils.logError(new Error(`连续失败${record.consecutiveFailures}次，已自动暂停，${FEED_HEALTH_CONFIG.reprobeHours}小时后重新探测`), `RSS源: ${feed.name}`);
+        }
       }
 
-      // 3. 移除末尾包含"记者"或"监制"的行（全局逻辑）
-      finalContent = this.cleanFooterContent(finalContent);
+      health.records[feed.url] = record;
+      health.changed[feed.url] = record;
+      return record;
+    },
 
-      return finalContent || '【内容为空】';
+    /**
+     * 获取RSS源上次保存的条件请求验证器
+     * @param {Object} health - 健康状态对象
+     * @param {Object} feed - RSS源配置
+     * @return {Object|null} { etag, lastModified }
+     */
+    getValidators: function(health, feed) {
+      const record = health.records[feed.url];
+      return (record && record.validators) || null;
+    },
+
+    /**
+     * 保存RSS源的条件请求验证器
+     * 只有本次抓取的新条目全部处理完（且未因时间预算中断）时才保存；否则清除，保证下次完整下载并处理剩余条目。
+     * @param {Object} health - 健康状态对象
+     * @param {Object} feed - RSS源配置
+     * @param {Object|null} validators - 验证器 { etag, lastModified }，为null时清除
+     */
+    setValidators: function(health, feed, validators) {
+      const record = health.records[feed.url];
+      if (!record) {
+        return;
+      }
+
+      record.validators = validators && (validators.etag || validators.lastModified) ? validators : null;
+      health.changed[feed.url] = record;
     },
 
+    /**
+     * 判断抓取成功的源是否已连续多天没有任何条目
+     * @param {Object} record - 健康记录
+     * @param {number} now - 当前时间戳
+     * @return {boolean} 是否标记为空源
+     */
+    isEmptyTooLong: function(record, now) {
+      const since = record.lastNonEmptyAt || record.firstCheckAt;
+      return !!record.lastSuccessAt && record.lastEntryCount === 0 && !!since
+        && now - since > FEED_HEALTH_CONFIG.emptyAlertDays * 24 * 60 * 60 * 1000;
+    },
 
     /**
-     * 从详情页URL获取新闻正文内容（通用版本）
-     * @param {string} link - 新闻详情页URL
-     * @param {Object} detailPageConfig - 详情页配置对象（可选）
-     * @return {string} 提取的正文内容或空字符串
+     * 获取RSS源的健康状态描述
+     * @param {Object} record - 健康记录（可能为undefined）
+     * @return {string} 状态：未检查、正常、失败中、已暂停、空源
      */
-    fetchDetailPageContent: function(link, detailPageConfig) {
-      if (!link || link.trim().length === 0) {
-        return '';
+    getStatus: function(record) {
+      if (!record) {
+        return '未检查';
+      }
+      if (record.suspendedAt) {
+        return '已暂停';
+      }
+      if (record.consecutiveFailures > 0) {
+        return '失败中';
+      }
+      return this.isEmptyTooLong(record, Date.now()) ? '空源' : '正常';
+    },
+
+    /**
+     * 保存本次执行更新的健康记录（在脚本锁内重新读取后合并，避免多个分组同时运行时互相覆盖）
+     * @param {Object} health - 健康状态对象
+     * @return {boolean} 是否保存成功
+     */
+    save: function(health) {
+      const changedUrls = Object.keys(health.changed);
+      if (changedUrls.length === 0 || !health.folder) {
+        return true;
+      }
+
+      const lock = LockService.getScriptLock();
+      if (!lock.tryLock(10000)) {
+        Utils.logError(new Error('获取脚本锁超时'), '保存RSS源健康记录');
+        return false;
       }
 
       try {
-        const options = {
-          muteHttpExceptions: true,
-          followRedirects: true,
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (compatible; Google-Apps-Script; +https://script.google.com)',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-          }
-        };
+        const records = this.readRecords(health.folder);
+        if (!records) {
+          // 健康记录文件存在但读取失败：不能用本次的变更覆盖其他源的暂停状态和校验值
+          Utils.logError(new Error('健康记录文件读取失败'), `保存RSS源健康记录: 放弃写入 ${changedUrls.length} 条变更`);
+          return false;
+        }
 
-        const response = UrlFetchApp.fetch(link, options);
-        const responseCode = response.getResponseCode();
+        changedUrls.forEach(url => {
+          records[url] = health.changed[url];
+        });
 
-        if (responseCode !== 200) {
-          Utils.logAction("详情页抓取失败", { reason: `HTTP ${responseCode}` });
-          return '';
+        const success = UtilsGoogleDrive.saveOrUpdateFile(health.folder, FEED_HEALTH_CONFIG.fileName, JSON.stringify({
+          updatedAt: new Date().toISOString(),
+          feeds: records
+        }));
+
+        if (success) {
+          health.records = records;
+          health.changed = {};
         }
+        return success;
+      } finally {
+        lock.releaseLock();
+      }
+    }
+  },
 
-        const html = response.getContentText();
+  /**
+   * 近似重复检测模块（字符n-gram SimHash）
+   */
+  NearDuplicate: {
+    /**
+     * 32位FNV-1a哈希
+     * @param {string} text - 输入文本
+     * @param {number} seed - 初始哈希值
+     * @return {number} 无符号32位哈希
+     */
+    hash32: function(text, seed) {
+      let hash = seed >>> 0;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+      }
+      return hash >>> 0;
+    },
 
-        // 默认选择器列表（当没有配置或配置为空时使用）
-        const defaultSelectors = [
-          'article',    // HTML5 <article> 标签（优先尝试）
-          '.content',   // 通用内容类
-          'div[class*="content"]',  // 类名包含content的div
-          'div[class*="main"]',     // 类名包含main的div
-          'div[class*="article"]',  // 类名包含article的div
-          'div[class*="post"]'      // 类名包含post的div
-        ];
+    /**
+     * 规范化指纹文本：小写，去掉空白、标点和符号
+     * @param {string} text - 原始文本
+     * @return {string} 规范化后的文本
+     */
+    normalizeText: function(text) {
+      return String(text || '').toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '');
+    },
 
-        // 使用配置的选择器或默认选择器
-        const selectors = (detailPageConfig && detailPageConfig.selectors && detailPageConfig.selectors.length > 0)
-          ? detailPageConfig.selectors
-          : defaultSelectors;
+    /**
+     * 计算文本的64位SimHash（字符n-gram分片）
+     * @param {string} text - 输入文本
+     * @return {string} 16位十六进制SimHash，文本为空时返回空字符串
+     */
+    computeSimHash: function(text) {
+      const normalized = this.normalizeText(text);
+      if (!normalized) {
+        return '';
+      }
 
-        // 尝试提取正文内容
-        let content = '';
-        let matchedSelector = '';
-
-        // 按优先级尝试每个选择器
-        for (const selector of selectors) {
-          let extractedContent = Utils.extractElement(html, selector, { handleNesting: true, maxDepth: 100 });
-
-          if (extractedContent && extractedContent.trim().length > 0) {
-            // 检查内容是否足够长（原始HTML长度大于100字符）
-            // 避免匹配到过短的div（如仅包含元信息的容器）
-            if (extractedContent.trim().length > 100) {
-              content = extractedContent;
-              matchedSelector = selector;
-              break;
-            }
-          }
-        }
+      const size = Math.max(1, NEAR_DUPLICATE_CONFIG.shingleSize);
+      const weights = new Array(64).fill(0);
+      const shingleCount = Math.max(1, normalized.length - size + 1);
 
-        // 如果所有选择器都失败，尝试整个body内容
-        if (!content) {
-          const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i);
-          if (bodyMatch && bodyMatch[1]) {
-            content = bodyMatch[1];
-          } else {
-            content = html;
-          }
-        }
+      for (let i = 0; i < shingleCount; i++) {
+        const shingle = normalized.substr(i, size);
+        const high = this.hash32(shingle, 2166136261);
+        const low = this.hash32(shingle, 0x5bd1e995);
 
-        // 应用排除选择器（如果有配置）
-        let contentAfterExclusion = content;
-        if (detailPageConfig && detailPageConfig.excludeSelectors && detailPageConfig.excludeSelectors.length > 0) {
-          contentAfterExclusion = Utils.removeHtmlElementsBySelector(content, detailPageConfig.excludeSelectors);
+        for (let bit = 0; bit < 32; bit++) {
+          weights[bit] += (high >>> bit) & 1 ? 1 : -1;
+          weights[32 + bit] += (low >>> bit) & 1 ? 1 : -1;
         }
+      }
 
-        // 清理HTML内容
-        const cleanedContent = Utils.cleanHtmlContent(contentAfterExclusion, {
-          keepParagraphs: true,
-          removeImages: true
-        });
+      let high = 0;
+      let low = 0;
+      for (let bit = 0; bit < 32; bit++) {
+        if (weights[bit] > 0) high |= (1 << bit);
+        if (weights[32 + bit] > 0) low |= (1 << bit);
+      }
 
-        return cleanedContent;
+      const toHex = value => ('00000000' + (value >>> 0).toString(16)).slice(-8);
+      return toHex(high) + toHex(low);
+    },
 
-      } catch (error) {
-        Utils.logError(error, `抓取详情页: ${link}`);
-        return '';
-      }
+    /**
+     * 计算新闻指纹：标题 + 正文第一段
+     * @param {string} title - 新闻标题
+     * @param {string} content - 提取的正文（提取失败的占位文本不参与计算）
+     * @return {string} SimHash指纹
+     */
+    computeFingerprint: function(title, content) {
+      const body = content && !content.startsWith('【') ? content : '';
+      const firstParagraph = body.split('\n').map(line => line.trim()).find(line => line.length > 0) || '';
+      return this.computeSimHash(`${title || ''}\n${firstParagraph.substring(0, NEAR_DUPLICATE_CONFIG.maxParagraphLength)}`);
     },
 
     /**
-     * 清理新闻内容末尾的页脚信息
-     * 1. 删除包含"记者"、"监制"、"作者"、"仅供参考"、"版权所有"的整行
-     * 2. 删除末尾行中的"(完)"字符（不删整行）
-     * 检查清理后的文本末尾10行进行处理
-     * @param {string} content - 清理后的文本内容
-     * @return {string} 清理页脚信息后的内容
+     * 计算两个SimHash的相似度（1 - 汉明距离/64）
+     * @param {string} hashA - SimHash A
+     * @param {string} hashB - SimHash B
+     * @return {number} 相似度（0-1）
      */
-    cleanFooterContent: function(content) {
-      if (!content || content.trim().length === 0) {
-        return content;
+    similarity: function(hashA, hashB) {
+      if (!hashA || !hashB || hashA.length !== 16 || hashB.length !== 16) {
+        return 0;
       }
 
-      const lines = content.split('\n');
-      if (lines.length === 0) {
-        return content;
-      }
+      const popCount = function(value) {
+        value = value - ((value >>> 1) & 0x55555555);
+        value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+        return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+      };
 
-      // 只检查最后10行，但保留倒数第11行作为安全边界
-      const linesToCheck = 10;
-      const startIndex = Math.max(0, lines.length - linesToCheck - 1);  // -1确保保留倒数第11行
-      const linesToProcess = lines.slice(startIndex);
-      const remainingLines = lines.slice(0, startIndex);
+      const distance = popCount((parseInt(hashA.substring(0, 8), 16) ^ parseInt(hashB.substring(0, 8), 16)) >>> 0)
+        + popCount((parseInt(hashA.substring(8), 16) ^ parseInt(hashB.substring(8), 16)) >>> 0);
+
+      return 1 - distance / 64;
+    },
 
-      // 要过滤的整行关键词：记者、监制、作者、仅供参考、版权所有
-      const keywordsToRemove = ['记者', '监制', '作者', '仅供参考', '版权所有'];
+    /**
+     * 在去重索引中查找最近N小时内已保存的近似重复新闻
+     * @param {Object} seenIndex - 已处理条目索引
+     * @param {string} fingerprint - 当前新闻指纹
+     * @return {Object|null} 最相似的已保存记录（附带similarity字段），未超过阈值时返回null
+     */
+    findDuplicate: function(seenIndex, fingerprint) {
+      if (!NEAR_DUPLICATE_CONFIG.enabled || !fingerprint) {
+        return null;
+      }
 
-      // 过滤掉包含任意关键词的整行，并清理"(完)"字符
-      const processedLines = linesToProcess.map(line => {
-        let processedLine = line.trim();
+      const cutoff = Date.now() - NEAR_DUPLICATE_CONFIG.windowHours * 60 * 60 * 1000;
+      let bestRecord = null;
+      let bestSimilarity = 0;
 
-        // 删除"(完)"字符（不删整行）
-        if (processedLine.includes('(完)')) {
-          processedLine = processedLine.replace(/\(完\)/g, '').trim();
+      Object.keys(seenIndex.records).forEach(primaryKey => {
+        const record = seenIndex.records[primaryKey];
+        if (record.status !== 'saved' || !record.fingerprint || (record.seenAt || 0) < cutoff) {
+          return;
         }
 
-        return processedLine;
-      }).filter(line => {
-        // 检查是否包含需要删除整行的关键词
-        return !keywordsToRemove.some(keyword => line.includes(keyword));
+        const similarity = this.similarity(fingerprint, record.fingerprint);
+        if (similarity >= NEAR_DUPLICATE_CONFIG.similarityThreshold && similarity > bestSimilarity) {
+          bestRecord = record;
+          bestSimilarity = similarity;
+        }
       });
 
-      // 重新组合行
-      const resultLines = remainingLines.concat(processedLines);
-      return resultLines.join('\n').trim();
-    },
-
-    /**
-     * 辅助函数：确定内容来源名称
-     * @private
-     */
-    getContentSourceName: function(entry, contentSources, rawContent) {
-      if (rawContent === entry['content:encoded']) return 'content:encoded';
-      if (rawContent === entry.content) return 'content';
-      if (rawContent === entry.description) return 'description';
-      if (rawContent === entry.summary) return 'summary';
-      return 'unknown';
+      return bestRecord ? Object.assign({ similarity: bestSimilarity }, bestRecord) : null;
     }
   },
 
   /**
-   * AI模块
+   * 检查点模块（超出时间预算时保存进度，并通过一次性触发器续跑）
    */
-  AI: {
+  Checkpoint: {
     /**
-     * 从AI错误消息中提取HTTP状态码
-     * @param {Error} error - AI调用错误
-     * @return {number|null} HTTP状态码
+     * 获取指定分组的检查点文件名
+     * @param {number} groupNumber - 分组编号
+     * @return {string} 文件名
      */
-    getHttpStatusFromError: function(error) {
-      const message = error && error.message ? error.message : String(error || '');
-      const match = message.match(/状态码:\s*(\d{3})|HTTP\s*(\d{3})/i);
-      return match ? parseInt(match[1] || match[2], 10) : null;
+    getFileName: function(groupNumber) {
+      return EXECUTION_CONFIG.checkpointFileName.replace('{{group}}', groupNumber);
     },
 
     /**
-     * 判断当前错误是否应该快速切换到下一个模型
-     * @param {Error} error - AI调用错误
-     * @return {boolean} 是否跳过当前模型后续重试
+     * 读取指定分组的检查点，过期或损坏的检查点视为不存在并清除
+     * @param {number} groupNumber - 分组编号
+     * @return {Object|null} 检查点 { feedUrl, entryCursor, pendingItems, stats, continuations, startedAt, savedAt, triggerId }
      */
-    shouldFailoverModel: function(error) {
-      const statusCode = this.getHttpStatusFromError(error);
-      return [401, 403, 429, 502, 503, 504].includes(statusCode);
-    },
+    load: function(groupNumber) {
+      const folder = NewsUtils.SeenIndex.getFolder();
+      const raw = folder ? UtilsGoogleDrive.readFileContent(folder, this.getFileName(groupNumber)) : null;
+      if (!raw) {
+        return null;
+      }
 
-    /**
-     * 获取模型链中的模型唯一键
-     * @param {Object} modelConfig - 模型配置
-     * @return {string} 模型键
-     */
-    getModelKey: function(modelConfig) {
-      return `${modelConfig.provider}/${modelConfig.model}`;
+      let checkpoint = null;
+      try {
+        checkpoint = JSON.parse(raw);
+      } catch (error) {
+        Utils.logError(error, `解析检查点: ${this.getFileName(groupNumber)}`);
+      }
+
+      const maxAgeMs = EXECUTION_CONFIG.checkpointMaxAgeHours * 60 * 60 * 1000;
+      if (!checkpoint || !checkpoint.feedUrl || Date.now() - (checkpoint.savedAt || 0) > maxAgeMs) {
+        Utils.logAction("丢弃检查点", { name: `组${groupNumber}`, extra: '检查点已过期或无效' });
+        this.deleteTrigger(checkpoint && checkpoint.triggerId);
+        this.clear(groupNumber);
+        return null;
+      }
+
+      return checkpoint;
     },
 
     /**
-     * 判断模型当前是否处于运行内熔断状态
-     * @param {Object} modelConfig - 模型配置
-     * @return {boolean} 是否应跳过该模型
+     * 保存检查点，并在未超过续跑次数时创建一次性续跑触发器
+     * @param {number} groupNumber - 分组编号
+     * @param {Object} checkpoint - 检查点内容
+     * @return {boolean} 是否已安排续跑
      */
-    isModelCircuitOpen: function(modelConfig) {
-      const modelKey = this.getModelKey(modelConfig);
-      const breakerState = AI_MODEL_CIRCUIT_BREAKER[modelKey];
-
-      if (!breakerState) {
+    saveAndScheduleContinuation: function(groupNumber, checkpoint) {
+      const folder = NewsUtils.SeenIndex.getFolder();
+      if (!folder) {
+        Utils.logError(new Error('无法获取检查点目录'), `保存检查点 - 组${groupNumber}`);
         return false;
       }
 
-      if (breakerState.disabledUntil === Infinity) {
-        return true;
+      let triggerId = null;
+      if (checkpoint.continuations <= EXECUTION_CONFIG.maxContinuations) {
+        try {
+          triggerId = ScriptApp.newTrigger(`processNewsFeedGroup${groupNumber}`)
+            .timeBased()
+            .after(EXECUTION_CONFIG.continuationDelaySeconds * 1000)
+            .create()
+            .getUniqueId();
+        } catch (error) {
+          Utils.logError(error, `创建续跑触发器 - 组${groupNumber}`);
+        }
+      } else {
+        Utils.logAction("停止续跑", {
+          name: `组${groupNumber}`,
+          extra: `已续跑${EXECUTION_CONFIG.maxContinuations}次，剩余条目等待下一次常规触发`
+        });
       }
 
-      if (Date.now() < breakerState.disabledUntil) {
-        return true;
+      const saved = UtilsGoogleDrive.saveOrUpdateFile(folder, this.getFileName(groupNumber), JSON.stringify(Object.assign({}, checkpoint, {
+        savedAt: Date.now(),
+        triggerId: triggerId
+      })));
+
+      if (!saved) {
+        Utils.logError(new Error('检查点写入失败'), `保存检查点 - 组${groupNumber}`);
+        this.deleteTrigger(triggerId);
+        return false;
       }
 
-      delete AI_MODEL_CIRCUIT_BREAKER[modelKey];
-      return false;
+      Utils.logAction("保存检查点", {
+        name: `组${groupNumber}`,
+        extra: `待处理 ${checkpoint.pendingItems ? checkpoint.pendingItems.length : 0} 条，第${checkpoint.continuations}次续跑${triggerId ? '已安排' : '未安排'}`
+      });
+      return triggerId !== null;
     },
 
     /**
-     * 根据HTTP错误状态更新运行内模型熔断状态
-     * @param {Object} modelConfig - 模型配置
-     * @param {number|null} statusCode - HTTP状态码
+     * 获取分组运行租约：同一分组已有其他执行持有未过期租约时返回false
+     * 常规触发器与续跑触发器可能同时启动，只有持有租约的执行读取和处理检查点。
+     * @param {number} groupNumber - 分组编号
+     * @return {boolean} 是否获得租约
      */
-    updateModelCircuitBreaker: function(modelConfig, statusCode) {
-      if (!statusCode) {
-        return;
-      }
+    acquireRunLease: function(groupNumber) {
+      const executionId = NewsUtils.State.getExecutionId();
+      const now = Date.now();
+      let acquired = false;
+
+      const leases = NewsUtils.State.updateJson(EXECUTION_CONFIG.runLeaseKey, {}, function(allLeases) {
+        const lease = allLeases[groupNumber];
+        if (lease && lease.executionId !== executionId && lease.expiresAt > now) {
+          return allLeases;
+        }
 
-      const modelKey = this.getModelKey(modelConfig);
+        allLeases[groupNumber] = { executionId: executionId, expiresAt: now + EXECUTION_CONFIG.runLeaseSeconds * 1000 };
+        acquired = true;
+        return allLeases;
+      });
 
-      if (statusCode === 429) {
-        AI_MODEL_CIRCUIT_BREAKER[modelKey] = {
-          disabledUntil: Date.now() + 60 * 1000,
-          statusCode: statusCode
-        };
-        Utils.logAction("AI模型临时跳过", {
-          name: modelKey,
-          extra: `HTTP ${statusCode}，60秒内不再尝试`
-        });
-        return;
-      }
+      return leases !== null && acquired;
+    },
 
-      if ([502, 503, 504].includes(statusCode)) {
-        AI_MODEL_CIRCUIT_BREAKER[modelKey] = {
-          disabledUntil: Date.now() + 15 * 1000,
-          statusCode: statusCode
-        };
-        Utils.logAction("AI模型临时跳过", {
-          name: modelKey,
-          extra: `HTTP ${statusCode}，15秒内不再尝试`
-        });
+    /**
+     * 释放当前执行持有的分组运行租约
+     * @param {number} groupNumber - 分组编号
+     */
+    releaseRunLease: function(groupNumber) {
+      const executionId = NewsUtils.State.getExecutionId();
+
+      NewsUtils.State.updateJson(EXECUTION_CONFIG.runLeaseKey, {}, function(allLeases) {
+        if (allLeases[groupNumber] && allLeases[groupNumber].executionId === executionId) {
+          delete allLeases[groupNumber];
+        }
+        return allLeases;
+      });
+    },
+
+    /**
+     * 删除续跑触发器（常规触发器先于续跑触发器运行时，避免重复续跑）
+     * @param {string} triggerId - 触发器唯一ID
+     */
+    deleteTrigger: function(triggerId) {
+      if (!triggerId) {
         return;
       }
 
-      if ([401, 403].includes(statusCode)) {
-        AI_MODEL_CIRCUIT_BREAKER[modelKey] = {
-          disabledUntil: Infinity,
-          statusCode: statusCode
-        };
-        Utils.logAction("AI模型本轮停用", {
-          name: modelKey,
-          extra: `HTTP ${statusCode}，本次执行不再尝试`
-        });
+      try {
+        ScriptApp.getProjectTriggers()
+          .filter(trigger => trigger.getUniqueId() === triggerId)
+          .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+      } catch (error) {
+        Utils.logError(error, `删除续跑触发器: ${triggerId}`);
       }
     },
 
     /**
-     * AI新闻分类函数
-     * @param {string} title - 新闻标题
-     * @return {Object} 包含shouldSave和category属性的对象
+     * 清除指定分组的检查点文件
+     * @param {number} groupNumber - 分组编号
      */
-    classifyNewsByTitle: function(title) {
-      const prompt = AI_CLASSIFICATION_PROMPT + title;
-      const MAX_ATTEMPTS_PER_MODEL = 2;
-      const RETRY_DELAY_SECONDS = 1;
-      const aiUtils = this;
+    clear: function(groupNumber) {
+      const folder = NewsUtils.SeenIndex.getFolder();
+      if (!folder) {
+        return;
+      }
 
-      // 验证AI工具依赖
-      if (typeof UtilsAI === 'undefined' || typeof UtilsAI.withRetry !== 'function') {
-        Utils.logError(new Error('UtilsAI对象不可用，请确保已部署utils_ai.js文件'), `AI分类标题: ${title.substring(0, 50)}...`);
-        return { shouldSave: false, category: '分类失败' };
+      const files = folder.getFilesByName(this.getFileName(groupNumber));
+      while (files.hasNext()) {
+        files.next().setTrashed(true);
       }
+    }
+  },
 
-      const callClassificationModel = function(modelConfig) {
-        const options = {
-          prompt: prompt,
-          model: modelConfig.model
-        };
+  /**
+   * 新闻摘要模块（汇总已保存新闻，生成每日摘要文档和新闻邮件）
+   */
+  Digest: {
+    /**
+     * 从已处理条目索引收集时间窗口内保存的新闻，并读取正文作为摘要
+     * @param {number} since - 起始时间戳（不含）
+     * @param {number} until - 结束时间戳（含）
+     * @param {Object} options - 可选项 { maxItems }：只读取保存时间最新的 maxItems 条（按保存时间从新到旧返回）
+     * @return {Array<Object>} 新闻条目 { key, title, source, category, link, savedAt, summary, isAISummarized }
+     */
+    collectSavedItems: function(since, until, options = {}) {
+      const seenIndex = NewsUtils.SeenIndex.load();
+      const newsFolder = UtilsGoogleDrive.getFolderByPath(`${STORAGE_CONFIG.rootFolder}/${STORAGE_CONFIG.subFolder}`);
 
-        if (modelConfig.provider === 'gemini') {
-          if (typeof UtilsAI.askGemini !== 'function') {
-            throw new Error('UtilsAI.askGemini 不可用');
-          }
-          return UtilsAI.askGemini(options);
-        }
+      let records = Object.keys(seenIndex.records)
+        .map(primaryKey => seenIndex.records[primaryKey])
+        .filter(record => record.status === 'saved' && record.seenAt > since && record.seenAt <= until);
 
-        if (modelConfig.provider === 'groq') {
-          if (typeof UtilsAI.askGroq !== 'function') {
-            throw new Error('UtilsAI.askGroq 不可用');
-          }
-          // qwen3.6 默认会思考；分类任务关闭推理以省 TPM，并压低输出上限
-          return UtilsAI.askGroq(Object.assign({}, options, {
-            maxTokens: 64,
-            groq: {
-              reasoningEffort: 'none'
-            }
-          }));
-        }
+      // 先按索引记录截取，只读取保留下来的新闻文件
+      if (options.maxItems) {
+        records = records.sort((a, b) => b.seenAt - a.seenAt).slice(0, options.maxItems);
+      }
 
-        if (modelConfig.provider === 'deepseek') {
-          if (typeof UtilsAI.askDeepseek !== 'function') {
-            throw new Error('UtilsAI.askDeepseek 不可用');
-          }
-          return UtilsAI.askDeepseek(options);
-        }
+      return records
+        .map(record => {
+          const newsFile = record.fileName ? NewsUtils.Storage.readNewsFile(newsFolder, record.fileName) : null;
+          const content = newsFile ? newsFile.content.replace(/\s+/g, ' ').trim() : '';
+
+          return {
+            key: record.keys ? record.keys[0] : record.title,
+            title: record.title || '【无标题】',
+            source: record.source || '未知',
+            category: record.category || '未分类',
+            link: record.link || null,
+            savedAt: record.seenAt,
+            summary: content.length > DIGEST_CONFIG.maxSummaryLength
+              ? content.substring(0, DIGEST_CONFIG.maxSummaryLength) + '...'
+              : content,
+            isAISummarized: newsFile ? newsFile.isAISummarized : false
+          };
+        });
+    },
 
-        throw new Error(`不支持的AI分类provider: ${modelConfig.provider}`);
-      };
+    /**
+     * 按分类分组并排序：分类按 CLASSIFICATION_POLICY 中的顺序（其余分类排在后面），组内按保存时间先后
+     * @param {Array<Object>} items - 新闻条目
+     * @return {Array<Object>} 分组 [{ category, items }]
+     */
+    groupByCategory: function(items) {
+      const categoryOrder = CLASSIFICATION_POLICY.categories.map(category => category.name);
+      const groups = {};
 
-      for (const modelConfig of AI_CLASSIFICATION_MODELS) {
-        if (aiUtils.isModelCircuitOpen(modelConfig)) {
-          Utils.logAction("跳过熔断AI分类模型", {
-            name: aiUtils.getModelKey(modelConfig)
-          });
-          continue;
-        }
+      items.forEach(item => {
+        (groups[item.category] = groups[item.category] || []).push(item);
+      });
 
-        try {
-          return UtilsAI.withRetry(function() {
-            const rawResponse = callClassificationModel(modelConfig);
+      const rank = category => {
+        const index = categoryOrder.indexOf(category);
+        return index === -1 ? categoryOrder.length : index;
+      };
 
-            // 清理思考标签，提取最终结果
-            const response = aiUtils.cleanThinkingTags(rawResponse);
+      return Object.keys(groups)
+        .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+        .map(category => ({
+          category: category,
+          items: groups[category].sort((a, b) => a.savedAt - b.savedAt)
+        }));
+    },
 
-            // 解析响应格式："1,政治新闻" 或 "0,体育新闻"
-            const parts = response.split(',').map(s => s.trim());
+    /**
+     * 生成新闻邮件HTML正文
+     * @param {string} heading - 邮件标题
+     * @param {Array<Object>} groups - 分组后的新闻
+     * @param {number} omittedCount - 超出条数上限未列出的新闻数量
+     * @return {string} HTML正文
+     */
+    renderEmailHtml: function(heading, groups, omittedCount) {
+      const sections = groups.map(group => {
+        const items = group.items.map(item => NewsUtils.Storage.formatNewsHtml({
+          source: item.source,
+          category: item.category,
+          title: item.title,
+          content: item.summary || '【新闻文件已清理，无摘要】',
+          isAISummarized: item.isAISummarized,
+          link: item.link,
+          time: this.formatTime(item.savedAt, 'MM-dd HH:mm')
+        })).join('\n');
+
+        return `<h2 style="margin:24px 0 12px;font-size:18px;border-bottom:1px solid #eee;padding-bottom:4px;">${Utils.escapeHtml(group.category)}（${group.items.length}）</h2>\n${items}`;
+      }).join('\n');
+
+      return `<div style="max-width:680px;margin:0 auto;font-family:-apple-system,'PingFang SC','Microsoft YaHei',sans-serif;">
+<h1 style="font-size:22px;">${Utils.escapeHtml(heading)}</h1>
+${sections}
+${omittedCount > 0 ? `<p style="font-size:12px;color:#888;">另有 ${omittedCount} 条较早的新闻未列出</p>` : ''}
+</div>`;
+    },
 
-            if (parts.length < 2) {
-              throw new Error(`AI响应格式错误: ${response}`);
-            }
+    /**
+     * 生成新闻邮件纯文本正文（HTML无法显示时的备用内容，沿用新闻文件的文本格式）
+     * @param {string} heading - 邮件标题
+     * @param {Array<Object>} groups - 分组后的新闻
+     * @param {number} omittedCount - 超出条数上限未列出的新闻数量
+     * @return {string} 纯文本正文
+     */
+    renderEmailText: function(heading, groups, omittedCount) {
+      const sections = groups.map(group => {
+        const items = group.items.map(item => NewsUtils.Storage.formatNewsContent({
+          source: item.source,
+          category: item.category,
+          title: item.title,
+          content: item.summary || '【新闻文件已清理，无摘要】',
+          isAISummarized: item.isAISummarized
+        }) + (item.link ? `\n链接：${item.link}` : '')).join('\n\n---\n\n');
+
+        return `【${group.category}】（${group.items.length}）\n\n${items}`;
+      }).join('\n\n==========\n\n');
+
+      return `${heading}\n\n${sections}${omittedCount > 0 ? `\n\n另有 ${omittedCount} 条较早的新闻未列出` : ''}`;
+    },
 
-            const shouldSaveStr = parts[0];
-            const category = parts.slice(1).join(','); // 处理可能包含逗号的分类名称
+    /**
+     * 格式化时间（脚本时区）
+     * @param {number} timestamp - 时间戳
+     * @param {string} pattern - 格式（默认 yyyy-MM-dd HH:mm）
+     * @return {string} 格式化后的时间
+     */
+    formatTime: function(timestamp, pattern) {
+      return Utilities.formatDate(new Date(timestamp), Session.getScriptTimeZone(), pattern || 'yyyy-MM-dd HH:mm');
+    },
 
-            // 验证shouldSaveStr必须是"0"或"1"
-            if (shouldSaveStr !== '0' && shouldSaveStr !== '1') {
-              throw new Error(`AI响应中的保存标志无效: ${shouldSaveStr}`);
-            }
+    /**
+     * 生成摘要Google文档并移动到摘要目录
+     * @param {GoogleAppsScript.Drive.Folder} folder - 摘要目录
+     * @param {string} documentTitle - 文档标题
+     * @param {Array<Object>} groups - 分组后的新闻
+     * @param {Object} range - 时间窗口 { since, until }
+     * @return {GoogleAppsScript.Document.Document} 文档对象
+     */
+    buildDocument: function(folder, documentTitle, groups, range) {
+      const itemCount = groups.reduce((sum, group) => sum + group.items.length, 0);
+      const document = DocumentApp.create(documentTitle);
+      const body = document.getBody();
+
+      // 新文档自带一个空段落，直接用作标题
+      body.getParagraphs()[0].setText(documentTitle).setHeading(DocumentApp.ParagraphHeading.TITLE);
+      body.appendParagraph(`${this.formatTime(range.since)} 至 ${this.formatTime(range.until)}，共 ${itemCount} 条新闻，${groups.length} 个分类`);
+
+      groups.forEach(group => {
+        body.appendParagraph(`${group.category}（${group.items.length}）`).setHeading(DocumentApp.ParagraphHeading.HEADING1);
+
+        group.items.forEach(item => {
+          const heading = body.appendParagraph(item.title).setHeading(DocumentApp.ParagraphHeading.HEADING2);
+          if (item.link) {
+            heading.setLinkUrl(item.link);
+          }
 
-            const shouldSave = shouldSaveStr === '1';
+          body.appendParagraph(`来源：${item.source}　时间：${this.formatTime(item.savedAt, 'MM-dd HH:mm')}${item.isAISummarized ? '　AI总结' : ''}`)
+            .editAsText().setItalic(true);
+          body.appendParagraph(item.summary || '【新闻文件已清理，无摘要】');
+          if (item.link) {
+            body.appendParagraph(item.link).setLinkUrl(item.link);
+          }
+        });
+      });
 
-            Utils.logAction("AI分类结果", {
-              title: title.substring(0, 50) + (title.length > 50 ? '...' : ''),
-              model: `${modelConfig.provider}/${modelConfig.model}`,
-              shouldSave: shouldSave,
-              category: category
-            });
+      document.saveAndClose();
+      DriveApp.getFileById(document.getId()).moveTo(folder);
+      return document;
+    }
+  },
 
-            return { shouldSave, category };
+  /**
+   * 新闻订阅源模块（将已保存新闻输出为 RSS 2.0 / Atom 1.0 文档）
+   */
+  WebFeed: {
+    /**
+     * 自定义扩展元素的命名空间，用于标记AI总结内容
+     */
+    namespace: 'urn:news-feed:metadata',
 
-          }, {
-            maxAttempts: MAX_ATTEMPTS_PER_MODEL,
-            retryDelaySeconds: RETRY_DELAY_SECONDS,
-            context: `AI分类(${modelConfig.provider}/${modelConfig.model})，标题: ${title.substring(0, 50)}...`,
-            shouldRetry: function(error) {
-              return !aiUtils.shouldFailoverModel(error);
-            }
-          });
-        } catch (error) {
-          const statusCode = aiUtils.getHttpStatusFromError(error);
-          aiUtils.updateModelCircuitBreaker(modelConfig, statusCode);
-          const extra = statusCode ? `HTTP ${statusCode}，` : '';
-          Utils.logError(error, `AI分类模型失败，${extra}切换下一个模型: ${modelConfig.provider}/${modelConfig.model}`);
-        }
-      }
+    /**
+     * 转义XML特殊字符，并去掉XML 1.0不允许出现的控制字符
+     * @param {string} text - 原始文本
+     * @return {string} 可安全写入XML的文本
+     */
+    escapeXml: function(text) {
+      return Utils.escapeHtml(String(text === null || text === undefined ? '' : text).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, ''));
+    },
 
-      // AI调用失败：默认跳过（shouldSave = false），保守策略
-      Utils.logError(new Error('AI分类模型链全部失败'), `AI分类失败，跳过新闻，标题: ${title.substring(0, 50)}...`);
-      return { shouldSave: false, category: '分类失败' };
+    /**
+     * 校验访问令牌
+     * @param {string} token - 请求携带的令牌
+     * @return {boolean} 是否允许访问
+     */
+    isAuthorized: function(token) {
+      const expectedToken = PropertiesService.getScriptProperties().getProperty(WEB_FEED_CONFIG.tokenPropertyKey);
+      return !!expectedToken && token === expectedToken;
     },
 
     /**
-     * AI新闻内容总结函数
-     * @param {string} content - 需要总结的新闻内容
-     * @return {Object} 总结结果对象
+     * 生成 RSS 2.0 文档
+     * @param {Array<Object>} items - 新闻条目（按保存时间倒序）
+     * @param {string} selfUrl - 订阅源地址
+     * @return {string} XML文档
      */
-    summarizeContent: function(content) {
-      const prompt = AI_SUMMARIZATION_PROMPT + content;
-      const MAX_ATTEMPTS_PER_MODEL = 2;
-      const RETRY_DELAY_SECONDS = 2;
-      const aiUtils = this;
+    renderRss: function(items, selfUrl) {
+      const escape = text => this.escapeXml(text);
+      const lastBuildDate = new Date(items.length > 0 ? items[0].savedAt : Date.now()).toUTCString();
+
+      const itemXml = items.map(item => {
+        const guid = item.link
+          ? `<guid isPermaLink="true">${escape(item.link)}</guid>`
+          : `<guid isPermaLink="false">${escape(item.key)}</guid>`;
+        const sourceFeed = NewsUtils.FeedConfig.getFeeds().find(feed => feed.name === item.source);
+
+        return `    <item>
+      <title>${escape(item.title)}</title>
+${item.link ? `      <link>${escape(item.link)}</link>\n` : ''}      ${guid}
+      <description>${escape(item.summary)}</description>
+      <category>${escape(item.category)}</category>
+${sourceFeed ? `      <source url="${escape(sourceFeed.url)}">${escape(item.source)}</source>\n` : ''}      <pubDate>${new Date(item.savedAt).toUTCString()}</pubDate>
+      <nf:aiSummarized>${item.isAISummarized}</nf:aiSummarized>
+    </item>`;
+      }).join('\n');
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:nf="${this.namespace}">
+  <channel>
+    <title>${escape(WEB_FEED_CONFIG.title)}</title>
+    <link>${escape(selfUrl)}</link>
+    <description>${escape(WEB_FEED_CONFIG.description)}</description>
+    <atom:link href="${escape(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${lastBuildDate}</lastBuildDate>
+${itemXml}
+  </channel>
+</rss>`;
+    },
 
-      // 验证AI工具依赖
-      if (typeof UtilsAI === 'undefined' || typeof UtilsAI.withRetry !== 'function') {
-        Utils.logError(new Error('UtilsAI对象不可用，请确保已部署utils_ai.js文件'), "AI内容总结失败，返回原内容");
-        return {
-          content: content,
-          didSummarize: false
-        };
-      }
+    /**
+     * 生成 Atom 1.0 文档
+     * @param {Array<Object>} items - 新闻条目（按保存时间倒序）
+     * @param {string} selfUrl - 订阅源地址
+     * @return {string} XML文档
+     */
+    renderAtom: function(items, selfUrl) {
+      const escape = text => this.escapeXml(text);
+      const updated = new Date(items.length > 0 ? items[0].savedAt : Date.now()).toISOString();
+
+      const entryXml = items.map(item => `  <entry>
+    <title>${escape(item.title)}</title>
+${item.link ? `    <link rel="alternate" href="${escape(item.link)}"/>\n` : ''}    <id>${escape(item.link || `urn:news-feed:${encodeURIComponent(item.key)}`)}</id>
+    <updated>${new Date(item.savedAt).toISOString()}</updated>
+    <author><name>${escape(item.source)}</name></author>
+    <category term="${escape(item.category)}"/>
+    <summary type="text">${escape(item.summary)}</summary>
+    <nf:aiSummarized>${item.isAISummarized}</nf:aiSummarized>
+  </entry>`).join('\n');
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:nf="${this.namespace}">
+  <title>${escape(WEB_FEED_CONFIG.title)}</title>
+  <subtitle>${escape(WEB_FEED_CONFIG.description)}</subtitle>
+  <link rel="self" href="${escape(selfUrl)}"/>
+  <id>${escape(selfUrl)}</id>
+  <updated>${updated}</updated>
+${entryXml}
+</feed>`;
+    }
+  },
 
-      const callSummarizationModel = function(modelConfig) {
-        const options = {
-          prompt: prompt,
-          model: modelConfig.model,
-          temperature: 0.2,
-          maxTokens: 512
-        };
+  /**
+   * OPML导入导出模块
+   */
+  Opml: {
+    /**
+     * 获取OPML文件目录
+     * @return {GoogleAppsScript.Drive.Folder|null} 文件夹对象
+     */
+    getFolder: function() {
+      return UtilsGoogleDrive.ensureNestedFolderExists(`${STORAGE_CONFIG.rootFolder}/${OPML_CONFIG.subFolder}`);
+    },
 
-        if (modelConfig.provider === 'gemini') {
-          if (typeof UtilsAI.askGemini !== 'function') {
-            throw new Error('UtilsAI.askGemini 不可用');
-          }
-          return UtilsAI.askGemini(options);
-        }
+    /**
+     * 生成OPML 2.0文档：相同 processGroups 的RSS源放在同一个文件夹中，每个RSS源只出现一次
+     * @param {Array<Object>} feeds - RSS源配置
+     * @return {string} XML文档
+     */
+    render: function(feeds) {
+      const escape = text => NewsUtils.WebFeed.escapeXml(text);
+      const sortGroups = feed => (feed.processGroups || []).slice().sort((a, b) => a - b).join(',');
+      const folders = {};
+      feeds.forEach(feed => {
+        const groups = sortGroups(feed);
+        (folders[groups] = folders[groups] || []).push(feed);
+      });
 
-        if (modelConfig.provider === 'groq') {
-          if (typeof UtilsAI.askGroq !== 'function') {
-            throw new Error('UtilsAI.askGroq 不可用');
-          }
-          return UtilsAI.askGroq(options);
+      const renderFeed = feed => {
+        const attributes = [
+          `type="rss"`,
+          `text="${escape(feed.name)}"`,
+          `title="${escape(feed.name)}"`,
+          `xmlUrl="${escape(feed.url)}"`,
+          `nf:feedType="${escape(feed.type || 'rss')}"`,
+          `nf:processGroups="${escape(sortGroups(feed))}"`
+        ];
+        if (feed.maxEntriesPerFeed) {
+          attributes.push(`nf:maxEntriesPerFeed="${feed.maxEntriesPerFeed}"`);
         }
-
-        if (modelConfig.provider === 'cerebras') {
-          if (typeof UtilsAI.askCerebras !== 'function') {
-            throw new Error('UtilsAI.askCerebras 不可用');
-          }
-          return UtilsAI.askCerebras(options);
+        if (feed.detailPageConfig) {
+          attributes.push(`nf:detailPageConfig="${escape(JSON.stringify(feed.detailPageConfig))}"`);
         }
+        return `      <outline ${attributes.join(' ')}/>`;
+      };
 
-        if (modelConfig.provider === 'deepseek') {
-          if (typeof UtilsAI.askDeepseek !== 'function') {
-            throw new Error('UtilsAI.askDeepseek 不可用');
-          }
-          return UtilsAI.askDeepseek(options);
+      const body = Object.keys(folders).sort().map(groups => {
+        const title = OPML_CONFIG.groupFolderTitle.replace('{{groups}}', groups);
+        return `    <outline text="${escape(title)}" title="${escape(title)}" nf:processGroups="${escape(groups)}">
+${folders[groups].map(renderFeed).join('\n')}
+    </outline>`;
+      }).join('\n');
+
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0" xmlns:nf="${NewsUtils.WebFeed.namespace}">
+  <head>
+    <title>${escape(WEB_FEED_CONFIG.title)} - RSS源</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${body}
+  </body>
+</opml>`;
+    },
+
+    /**
+     * 解析OPML文档中的RSS源
+     * 分组优先取 nf:processGroups 属性，其次取最近一级带分组编号的上级文件夹（nf:processGroups 属性或标题中的数字）；
+     * 同一URL出现多次时合并分组。
+     * @param {string} text - OPML文本
+     * @return {Object} { feeds, errors }
+     */
+    parse: function(text) {
+      const document = XmlService.parse(String(text).replace(/^\uFEFF/, ''));
+      const root = document.getRootElement();
+      const body = root.getChild('body');
+      if (root.getName() !== 'opml' || !body) {
+        throw new Error('不是有效的OPML文档（缺少 opml/body 元素）');
+      }
+
+      const nfNamespace = XmlService.getNamespace('nf', NewsUtils.WebFeed.namespace);
+      const getAttribute = (element, name) => {
+        const attribute = element.getAttribute(name, nfNamespace) || element.getAttribute(name);
+        return attribute ? attribute.getValue().trim() : '';
+      };
+      const urlColumn = FEED_SHEET_SCHEMA.find(column => column.field === 'url');
+      const groupsColumn = FEED_SHEET_SCHEMA.find(column => column.field === 'processGroups');
+      const parseGroups = value => {
+        try {
+          return value ? NewsUtils.FeedConfig.parseCell(groupsColumn, value) : null;
+        } catch (error) {
+          return null;
         }
+      };
 
-        throw new Error(`不支持的AI总结provider: ${modelConfig.provider}`);
+      // 只有符合 groupFolderTitle 格式的文件夹标题才表示分组，避免"36氪"、"Tech 2024"这类标题中的数字被当作分组
+      const [titlePrefix, titleSuffix = ''] = OPML_CONFIG.groupFolderTitle.split('{{groups}}');
+      const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const folderTitlePattern = new RegExp(`^${escapeRegExp(titlePrefix)}\\s*([\\d\\s,，;；、]+?)\\s*${escapeRegExp(titleSuffix)}$`);
+      const parseFolderTitle = title => {
+        const match = title.match(folderTitlePattern);
+        return match ? parseGroups(match[1]) : null;
       };
 
-      for (const modelConfig of AI_SUMMARIZATION_MODELS) {
-        if (aiUtils.isModelCircuitOpen(modelConfig)) {
-          Utils.logAction("跳过熔断AI总结模型", {
-            name: aiUtils.getModelKey(modelConfig)
-          });
-          continue;
-        }
+      const feedsByUrl = {};
+      const feeds = [];
+      const errors = [];
 
-        try {
-          return UtilsAI.withRetry(function() {
-            const rawResponse = callSummarizationModel(modelConfig);
+      const walk = (element, folderGroups, path) => {
+        element.getChildren('outline').forEach(outline => {
+          const name = getAttribute(outline, 'text') || getAttribute(outline, 'title');
+          const xmlUrl = getAttribute(outline, 'xmlUrl');
+
+          if (!xmlUrl) {
+            const groups = parseGroups(getAttribute(outline, 'processGroups')) || parseFolderTitle(name);
+            walk(outline, groups || folderGroups, path.concat(name));
+            return;
+          }
 
-            // 清理思考标签，提取最终结果
-            const response = aiUtils.cleanThinkingTags(rawResponse);
+          const label = `${path.concat(name || xmlUrl).join(' / ')}`;
+          const feed = { name: name || xmlUrl };
+          try {
+            feed.url = NewsUtils.FeedConfig.parseCell(urlColumn, xmlUrl);
 
-            if (!response || response.trim().length === 0) {
-              throw new Error('AI总结返回空内容');
+            const groupsAttribute = getAttribute(outline, 'processGroups');
+            const groups = groupsAttribute ? NewsUtils.FeedConfig.parseCell(groupsColumn, groupsAttribute) : folderGroups;
+            if (groups) {
+              feed.processGroups = groups;
             }
 
-            Utils.logAction("AI总结结果", {
-              model: `${modelConfig.provider}/${modelConfig.model}`,
-              contentLength: response.length
-            });
+            // OPML的 type 属性通常固定为 rss，只读取自定义的 nf:feedType
+            const feedType = getAttribute(outline, 'feedType').toLowerCase();
+            if (['rss', 'atom', 'rdf', 'jsonfeed'].indexOf(feedType) !== -1) {
+              feed.type = feedType;
+            }
 
-            return {
-              content: response,
-              didSummarize: true
-            };
+            const maxEntries = getAttribute(outline, 'maxEntriesPerFeed');
+            if (maxEntries) {
+              feed.maxEntriesPerFeed = NewsUtils.FeedConfig.parseCell({ type: 'integer' }, maxEntries);
+            }
 
-          }, {
-            maxAttempts: MAX_ATTEMPTS_PER_MODEL,
-            retryDelaySeconds: RETRY_DELAY_SECONDS,
-            context: `AI内容总结(${modelConfig.provider}/${modelConfig.model})`,
-            shouldRetry: function(error) {
-              return !aiUtils.shouldFailoverModel(error);
+            const detailPageConfig = getAttribute(outline, 'detailPageConfig');
+            if (detailPageConfig) {
+              feed.detailPageConfig = JSON.parse(detailPageConfig);
             }
-          });
-        } catch (error) {
-          const statusCode = aiUtils.getHttpStatusFromError(error);
-          aiUtils.updateModelCircuitBreaker(modelConfig, statusCode);
-          const extra = statusCode ? `HTTP ${statusCode}，` : '';
-          Utils.logError(error, `AI总结模型失败，${extra}切换下一个模型: ${modelConfig.provider}/${modelConfig.model}`);
-        }
-      }
+          } catch (error) {
+            errors.push(`${label}: ${error.message}，已跳过`);
+            return;
+          }
 
-      Utils.logError(new Error('AI总结模型链全部失败'), 'AI内容总结失败，返回原内容');
-      return {
-        content: content,
-        didSummarize: false
+          const existing = feedsByUrl[feed.url];
+          if (existing) {
+            if (feed.processGroups) {
+              existing.processGroups = Array.from(new Set((existing.processGroups || []).concat(feed.processGroups))).sort((a, b) => a - b);
+            }
+            return;
+          }
+          feedsByUrl[feed.url] = feed;
+          feeds.push(feed);
+        });
       };
-    },
 
-    /**
-     * 清理AI响应中的思考标签
-     * @param {string} rawResponse - 原始AI响应（可能包含思考标签）
-     * @return {string} 清理思考标签后的最终结果
-     */
-    cleanThinkingTags: function(rawResponse) {
-      return rawResponse
-        .replace(/<think>[\s\S]*?<\/think>/gi, '')
-        .replace(/<thinking>[\s\S]*?<\/thinking>/gi, '')
-        .replace(/<思考>[\s\S]*?<\/思考>/gi, '')
-        .trim();
+      walk(body, null, []);
+      return { feeds: feeds, errors: errors };
     }
   },
 
   /**
-   * 存储工具模块（简化包装，调用通用工具函数）
+   * RSS源自动发现模块
    */
-  Storage: {
+  Discovery: {
     /**
-     * 创建新闻文件夹结构
-     * @param {string} rootFolder - 根文件夹名称
-     * @param {string} subFolder - 子文件夹名称
-     * @return {GoogleAppsScript.Drive.Folder} 文件夹对象
+     * 订阅链接 type 属性与源类型的对应关系
      */
-    createNewsDateFolder: function(rootFolder, subFolder) {
-      try {
-        // 验证Google工具依赖
-        if (typeof UtilsGoogleDrive === 'undefined' || typeof UtilsGoogleDrive.ensureNestedFolderExists !== 'function') {
-          throw new Error('UtilsGoogleDrive对象或ensureNestedFolderExists函数不可用，请确保已部署utils_google_drive.js文件');
-        }
+    linkTypes: {
+      'application/rss+xml': 'rss',
+      'application/atom+xml': 'atom',
+      'application/rdf+xml': 'rdf',
+      'application/feed+json': 'jsonfeed',
+      'application/json': 'jsonfeed'
+    },
 
-        // 构建固定新闻文本存储路径：rootFolder/subFolder
-        const folderPath = `${rootFolder}/${subFolder}`;
-        const dateFolder = UtilsGoogleDrive.ensureNestedFolderExists(folderPath);
+    /**
+     * 补全网站地址：缺少协议时按https处理
+     * @param {string} siteUrl - 用户输入的网站地址
+     * @return {string} 完整地址
+     */
+    normalizeSiteUrl: function(siteUrl) {
+      const url = String(siteUrl || '').trim();
+      return /^https?:\/\//i.test(url) ? url : `https://${url.replace(/^\/+/, '')}`;
+    },
 
-        if (!dateFolder) {
-          throw new Error(`无法创建文件夹路径: ${folderPath}`);
-        }
+    /**
+     * 将相对地址解析为绝对地址
+     * @param {string} href - 链接地址（绝对、协议相对、根相对或相对路径）
+     * @param {string} baseUrl - 所在页面地址
+     * @return {string} 绝对地址
+     */
+    resolveUrl: function(href, baseUrl) {
+      const value = String(href || '').trim().replace(/&amp;/g, '&');
+      const baseMatch = baseUrl.match(/^(https?:)\/\/[^\/?#]+/i);
+      if (/^https?:\/\//i.test(value) || !baseMatch) {
+        return value;
+      }
+      if (value.indexOf('//') === 0) {
+        return baseMatch[1] + value;
+      }
+      if (value.indexOf('/') === 0) {
+        return baseMatch[0] + value;
+      }
 
-        Utils.logAction("创建新闻文件夹", {
-          path: folderPath,
-          status: "成功"
+      const basePath = baseUrl.replace(/[?#].*$/, '').substring(baseMatch[0].length);
+      return baseMatch[0] + (basePath.substring(0, basePath.lastIndexOf('/') + 1) || '/') + value;
+    },
+
+    /**
+     * 从网页中提取 <link rel="alternate"> 声明的订阅地址
+     * @param {string} html - 网页HTML
+     * @param {string} pageUrl - 网页地址（用于解析相对链接）
+     * @return {Array<Object>} 候选 { url, title, type, source: 'link' }
+     */
+    extractLinkCandidates: function(html, pageUrl) {
+      const candidates = [];
+      const linkTags = String(html || '').match(/<link\b[^>]*>/gi) || [];
+
+      linkTags.forEach(tag => {
+        const attributes = {};
+        tag.replace(/([a-zA-Z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g, (match, name, doubleQuoted, singleQuoted, unquoted) => {
+          attributes[name.toLowerCase()] = doubleQuoted !== undefined ? doubleQuoted : (singleQuoted !== undefined ? singleQuoted : unquoted);
+          return match;
         });
 
-        return dateFolder;
+        const rels = String(attributes.rel || '').toLowerCase().split(/\s+/);
+        const type = this.linkTypes[String(attributes.type || '').toLowerCase().split(';')[0].trim()];
+        if (rels.indexOf('alternate') === -1 || !type || !attributes.href) {
+          return;
+        }
+
+        candidates.push({
+          url: this.resolveUrl(attributes.href, pageUrl),
+          title: (attributes.title || '').replace(/&amp;/g, '&').trim(),
+          type: type,
+          source: 'link'
+        });
+      });
 
-      } catch (error) {
-        Utils.logError(error, `创建新闻文件夹: ${rootFolder}/${subFolder}`);
-        return null;
-      }
+      return candidates;
     },
 
     /**
-     * 格式化新闻文件内容
-     * @param {Object} fields - 新闻字段对象
-     * @param {string} fields.source - 新闻来源
-     * @param {string} fields.category - 新闻分类
-     * @param {string} fields.title - 新闻标题
-     * @param {string} fields.content - 新闻正文内容
-     * @param {boolean} fields.isAISummarized - 是否为AI总结内容
-     * @return {string} 格式化的新闻内容
+     * 生成网站根目录下的常见订阅路径候选
+     * @param {string} siteUrl - 网站地址
+     * @return {Array<Object>} 候选 { url, title, type: null（按内容检测）, source: 'path' }
      */
-    formatNewsContent: function(fields) {
-      const { source, category, title, content, isAISummarized = false } = fields;
-
-      // 根据是否为AI总结内容，在内容前添加不同标识
-      const contentPrefix = isAISummarized ? 'AI总结：\n' : '新闻原文：\n';
-      const finalContent = contentPrefix + (content || '【内容为空】');
+    getCommonPathCandidates: function(siteUrl) {
+      const originMatch = siteUrl.match(/^https?:\/\/[^\/?#]+/i);
+      if (!originMatch) {
+        return [];
+      }
 
-      // 构建文件内容，包含来源、分类、标题、正文四个部分
-      const formattedContent = `来源：${source || '未知'}
-分类：${category || '未分类'}
+      return DISCOVERY_CONFIG.commonPaths.map(path => ({
+        url: originMatch[0] + path,
+        title: '',
+        type: null,
+        source: 'path'
+      }));
+    },
 
-${title || '【无标题】'}
+    /**
+     * 候选排序：网页声明的订阅优先，评论订阅靠后，其次按条目数和最新发布时间
+     * @param {Array<Object>} results - 验证通过的候选
+     * @return {Array<Object>} 排序后的新数组
+     */
+    rank: function(results) {
+      const isCommentFeed = result => /comment|评论/i.test(`${result.url} ${result.title}`);
+      return results.slice().sort((a, b) =>
+        (a.source === 'link' ? 0 : 1) - (b.source === 'link' ? 0 : 1)
+        || (isCommentFeed(a) ? 1 : 0) - (isCommentFeed(b) ? 1 : 0)
+        || b.entryCount - a.entryCount
+        || (b.latestPublishedAt || 0) - (a.latestPublishedAt || 0));
+    }
+  },
 
-${finalContent}`;
+  /**
+   * 状态存储模块（跨执行共享的JSON状态，基于脚本属性）
+   */
+  State: {
+    /**
+     * 当前执行的唯一标识（惰性生成）
+     * @private
+     */
+    _executionId: null,
 
-      return formattedContent;
+    /**
+     * 获取当前Apps Script执行的唯一标识，用于区分不同执行持有的租约
+     * @return {string} 执行标识
+     */
+    getExecutionId: function() {
+      if (!this._executionId) {
+        this._executionId = Utilities.getUuid();
+      }
+      return this._executionId;
     },
 
     /**
-     * 保存新闻到Google Drive
-     * @param {GoogleAppsScript.Drive.Folder} folder - 目标文件夹
-     * @param {string} title - 新闻标题
-     * @param {string} content - 新闻内容
-     * @return {boolean} 是否保存成功
+     * 从脚本属性读取JSON状态
+     * @param {string} key - 脚本属性键名
+     * @param {*} defaultValue - 不存在或解析失败时的默认值
+     * @return {*} 解析后的状态
      */
-    saveNewsToDrive: function(folder, title, content) {
+    readJson: function(key, defaultValue) {
       try {
-        // 验证Google工具依赖
-        if (typeof UtilsGoogleDrive === 'undefined' || typeof UtilsGoogleDrive.saveOrUpdateFile !== 'function') {
-          throw new Error('UtilsGoogleDrive对象或saveOrUpdateFile函数不可用，请确保已部署utils_google_drive.js文件');
-        }
-
-        // 1. 生成安全文件名
-        const safeFileName = Utils.safeFileName(title, 100) + '.txt';
-
-        // 2. 使用通用工具函数保存或更新文件
-        const success = UtilsGoogleDrive.saveOrUpdateFile(folder, safeFileName, content);
+        const raw = PropertiesService.getScriptProperties().getProperty(key);
+        return raw ? JSON.parse(raw) : defaultValue;
+      } catch (error) {
+        Utils.logError(error, `读取共享状态: ${key}`);
+        return defaultValue;
+      }
+    },
 
-        // 3. 记录保存信息
-        if (success) {
-          Utils.logAction("保存新闻到Drive", {
-            title: title.substring(0, 50) + (title.length > 50 ? '...' : ''),
-            fileName: safeFileName,
-            contentLength: content.length,
-            folderPath: `${folder.getName()}`
-          });
+    /**
+     * 将JSON状态写入脚本属性
+     * @param {string} key - 脚本属性键名
+     * @param {*} value - 状态值，为null时删除该属性
+     * @return {boolean} 是否写入成功
+     */
+    writeJson: function(key, value) {
+      try {
+        const properties = PropertiesService.getScriptProperties();
+        if (value === null || value === undefined) {
+          properties.deleteProperty(key);
         } else {
-          Utils.logError(new Error(`保存文件失败: ${safeFileName}`), "saveNewsToDrive");
+          properties.setProperty(key, JSON.stringify(value));
         }
-
-        return success;
-
+        return true;
       } catch (error) {
-        Utils.logError(error, `保存新闻到Drive: ${title.substring(0, 50)}...`);
+        Utils.logError(error, `写入共享状态: ${key}`);
         return false;
       }
+    },
+
+    /**
+     * 在脚本锁内读取、修改并写回JSON状态，避免多个分组同时运行时互相覆盖
+     * @param {string} key - 脚本属性键名
+     * @param {*} defaultValue - 不存在时的默认值
+     * @param {Function} updater - 接收当前状态并返回新状态的函数
+     * @return {*} 写入后的状态，获取锁或写入失败时返回null
+     */
+    updateJson: function(key, defaultValue, updater) {
+      const lock = LockService.getScriptLock();
+      if (!lock.tryLock(5000)) {
+        Utils.logError(new Error('获取脚本锁超时'), `更新共享状态: ${key}`);
+        return null;
+      }
+
+      try {
+        const newValue = updater(this.readJson(key, defaultValue));
+        return this.writeJson(key, newValue) ? newValue : null;
+      } finally {
+        lock.releaseLock();
+      }
     }
   }
 };
 
 // ==================== 主函数与入口函数 ====================
 
+/**
+ * 处理单条已分类的新闻：提取内容、近似重复检测、总结并保存，同时更新去重索引和统计
+ * @param {Object} context - 处理上下文 { feed, newsFolder, seenIndex, stats, getElapsedSeconds }
+ * @param {Object} item - 待处理条目 { entry, classification, keys }
+ */
+function processNewsItem_(context, item) {
+  const { feed, newsFolder, seenIndex, stats, getElapsedSeconds } = context;
+  const { entry, classification, keys } = item;
+  const seenFields = { title: entry.title.substring(0, 100), source: feed.name, category: classification.category };
+
+  try {
+    if (classification.shouldSave) {
+      // 提取新闻内容
+      let extractedContent = NewsUtils.Content.extractNewsContent(entry, feed);
+
+      // 按源配置翻译非目标语言的正文，之后的近似重复检测、总结和保存都使用译文
+      const translation = NewsUtils.Translation.translateContent(extractedContent, feed);
+      if (translation.translated) {
+        extractedContent = translation.content;
+        stats.translatedContents++;
+      }
+
+      // 跨源近似重复检测：与最近已保存的新闻比较，命中则跳过或合并来源，不再总结保存
+      const fingerprint = NewsUtils.NearDuplicate.computeFingerprint(entry.title, extractedContent);
+      const duplicateRecord = NewsUtils.NearDuplicate.findDuplicate(seenIndex, fingerprint);
+      if (duplicateRecord) {
+        const merged = NEAR_DUPLICATE_CONFIG.action === 'merge' && duplicateRecord.fileName
+          && NewsUtils.Storage.appendOtherSource(newsFolder, duplicateRecord.fileName, feed.name, entry.link);
+
+        Utils.logAction("跳过近似重复新闻", {
+          title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
+          extra: `与"${duplicateRecord.title.substring(0, 30)}"（${duplicateRecord.source}）相似度${Math.round(duplicateRecord.similarity * 100)}%${merged ? '，已合并为其他来源' : ''}`
+        });
+        NewsUtils.SeenIndex.markSeen(seenIndex, keys, Object.assign({
+          status: 'duplicate',
+          duplicateOf: duplicateRecord.title
+        }, seenFields));
+        stats.duplicates++;
+        return;
+      }
+
+      // 标记是否为AI总结内容
+      let isAISummarized = false;
+      let summarizationModel = null;
+      let finalContent = extractedContent;
+
+      // 检查内容长度：小于最小阈值丢弃，大于最大阈值使用AI总结，之间保存原文
+      if (extractedContent.length > CONTENT_CONFIG.maxContentLength) {
+        Utils.logAction("执行AI总结", {
+          title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
+          extra: `原文长度: ${extractedContent.length}字符，超过阈值${CONTENT_CONFIG.maxContentLength}字符，已运行${getElapsedSeconds()}秒`
+        });
+
+        // 调用AI总结
+        const summarizationResult = NewsUtils.AI.summarizeContent(extractedContent);
+        // 思考标签已在summarizeContent函数中清理
+        finalContent = summarizationResult.content;
+        isAISummarized = summarizationResult.didSummarize;
+        summarizationModel = summarizationResult.model || null;
+        stats.summaryValidationFailures += summarizationResult.validationFailures || 0;
+        stats.summaryRepaired += summarizationResult.repaired ? 1 : 0;
+
+        Utils.logAction("AI总结完成", {
+          title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
+          extra: isAISummarized
+            ? `原文: ${extractedContent.length}字符 → 总结: ${finalContent.length}字符，已运行${getElapsedSeconds()}秒`
+            : `AI总结失败，回退原文: ${finalContent.length}字符，已运行${getElapsedSeconds()}秒`
+        });
+      } else {
+        Utils.logAction("跳过AI总结", {
+          title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
+          extra: `内容长度: ${extractedContent.length}字符，未超过阈值${CONTENT_CONFIG.maxContentLength}字符`
+        });
+      }
+
+      // 检查最终内容长度，如果小于最小阈值则跳过
+      if (finalContent.length < CONTENT_CONFIG.minContentLength) {
+        Utils.logAction("跳过新闻", {
+          title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
+          extra: `最终内容长度${finalContent.length}字符小于最小阈值${CONTENT_CONFIG.minContentLength}字符`
+        });
+        NewsUtils.SeenIndex.markSeen(seenIndex, keys, Object.assign({ status: 'discarded' }, seenFields));
+        return;
+      }
+
+      // 构建新闻内容，包含来源、分类、标题、正文及元数据（按 STORAGE_CONFIG.outputFormat 输出）
+      const newsFields = {
+        source: feed.name, // 来源：RSS源名称
+        category: classification.category,
+        title: entry.title, // 标题：新闻标题
+        content: finalContent, // 智能内容提取结果
+        isAISummarized: isAISummarized, // 是否为AI总结
+        link: entry.link,
+        pubDate: entry.pubDate || entry.published || entry.updated || (entry.publishedAt ? entry.publishedAt.toISOString() : null),
+        guid: entry.guid || entry.id,
+        classificationModel: classification.model,
+        summarizationModel: summarizationModel,
+        originalLength: extractedContent.length,
+        originalTitle: entry.originalTitle || null,
+        language: entry.language || (translation.translated ? translation.language : null),
+        translationModel: translation.model || null
+      };
+      const newsContent = NewsUtils.Storage.renderNewsFile(newsFields);
+
+      // 保存文件
+      const fileKey = keys && keys[0];
+      const saved = NewsUtils.Storage.saveNewsToDrive(newsFolder, entry.title, newsContent, NewsUtils.Storage.buildNewsMetadata(newsFields), fileKey);
+      if (saved) {
+        stats.saved++;
+        NewsUtils.SeenIndex.markSeen(seenIndex, keys, Object.assign({
+          status: 'saved',
+          fileName: NewsUtils.Storage.getNewsFileName(entry.title, null, fileKey),
+          link: entry.link || null,
+          fingerprint: fingerprint
+        }, seenFields));
+      }
+    } else {
+      Utils.logAction("跳过新闻", {
+        title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
+        category: classification.category
+      });
+      // 分类失败的新闻不写入索引，下次运行重新分类
+      if (classification.category !== '分类失败') {
+        NewsUtils.SeenIndex.markSeen(seenIndex, keys, Object.assign({ status: 'skipped' }, seenFields));
+      }
+    }
+  } catch (error) {
+    // AI分类或保存错误：跳过当前新闻，记录错误
+    Utils.logError(error, `处理新闻: ${entry.title?.substring(0, 50)}...`);
+    stats.errors++;
+  }
+}
+
 /**
  * 处理指定分组的RSS源 - 主函数
+ * 运行时间超过 EXECUTION_CONFIG.timeBudgetSeconds 时保存检查点并创建一次性续跑触发器，
+ * 下次执行（续跑触发器或常规触发器）从检查点继续，执行摘要合并所有续跑的统计。
+ * 同一分组同时只允许一次执行运行，另一次执行持有运行租约时直接跳过。
  * @param {number} groupNumber - 分组编号（1, 2, 3...）
  */
 function processNewsFeedsByGroup(groupNumber) {
+  if (!NewsUtils.Checkpoint.acquireRunLease(groupNumber)) {
+    Utils.logAction("跳过分组执行", { name: `组${groupNumber}`, extra: '同一分组的另一次执行正在运行' });
+    return;
+  }
+
+  try {
+    collectNewsFeedGroup_(groupNumber);
+  } finally {
+    NewsUtils.Checkpoint.releaseRunLease(groupNumber);
+  }
+}
+
+/**
+ * 处理指定分组的RSS源（由 processNewsFeedsByGroup 在持有运行租约时调用）
+ * @param {number} groupNumber - 分组编号
+ */
+function collectNewsFeedGroup_(groupNumber) {
   // === 1. 初始化 ===
   const scriptStartTime = new Date();
   const getElapsedSeconds = () => Math.round((new Date().getTime() - scriptStartTime.getTime()) / 1000);
+  const isOverTimeBudget = () => getElapsedSeconds() >= EXECUTION_CONFIG.timeBudgetSeconds;
 
   Utils.logStart(`新闻源收集 - 组${groupNumber}`);
 
@@ -1071,7 +5240,7 @@ function processNewsFeedsByGroup(groupNumber) {
   }
 
   // === 2. 过滤指定分组的RSS源 ===
-  const targetFeeds = RSS_FEEDS.filter(feed => feed.processGroups && feed.processGroups.includes(groupNumber));
+  const targetFeeds = NewsUtils.FeedConfig.getFeeds().filter(feed => feed.processGroups && feed.processGroups.includes(groupNumber));
 
   if (targetFeeds.length === 0) {
     Utils.logAction("分组过滤", { group: groupNumber, message: "该分组没有配置RSS源" });
@@ -1093,150 +5262,230 @@ function processNewsFeedsByGroup(groupNumber) {
     return;
   }
 
-  // === 4. 获取已有文件列表用于去重 ===
-  const existingFilesResult = UtilsGoogleDrive.cleanFilesInFolder(`${STORAGE_CONFIG.rootFolder}/${STORAGE_CONFIG.subFolder}`, {
-    filters: [
-      { type: 'has_extension', extensions: ['.txt'] }
-    ],
-    dryRun: true,
-    returnFileList: true
-  });
+  // === 4. 加载已处理条目索引用于去重，以及RSS源健康记录 ===
+  const seenIndex = NewsUtils.SeenIndex.load();
+  const feedHealth = NewsUtils.FeedHealth.load();
+
+  // === 5. 读取检查点（上次执行超时中断时保存） ===
+  const checkpoint = NewsUtils.Checkpoint.load(groupNumber);
+  const stats = Object.assign({
+    processed: 0,
+    saved: 0,
+    errors: 0,
+    skippedExisting: 0,  // 跳过已处理过的新闻数量
+    duplicates: 0,       // 跨源近似重复的新闻数量
+    suspendedFeeds: 0,   // 因连续失败暂停而跳过的RSS源数量
+    notModifiedFeeds: 0, // 返回304（自上次处理后没有更新）的RSS源数量
+    staleEntries: 0,     // 超过时效或无发布时间而跳过的条目数量
+    keywordKept: 0,      // 关键词规则强制保留（未调用AI分类）的新闻数量
+    keywordSkipped: 0,   // 关键词规则强制跳过（未调用AI分类）的新闻数量
+    summaryValidationFailures: 0, // AI总结未通过校验而切换模型的次数
+    summaryRepaired: 0,  // AI总结经本地清理后通过校验的新闻数量
+    translatedTitles: 0, // 翻译为目标语言的标题数量
+    translatedContents: 0 // 翻译为目标语言的正文数量
+  }, checkpoint ? checkpoint.stats : {});
+  let startFeedIndex = 0;
+  let resumedItems = null;
+
+  if (checkpoint) {
+    NewsUtils.Checkpoint.deleteTrigger(checkpoint.triggerId);
+    startFeedIndex = targetFeeds.findIndex(feed => feed.url === checkpoint.feedUrl);
+    if (startFeedIndex === -1) {
+      Utils.logAction("检查点失效", { name: `组${groupNumber}`, extra: `RSS源 ${checkpoint.feedUrl} 已不在该组中，从头开始处理` });
+      startFeedIndex = 0;
+    } else {
+      resumedItems = checkpoint.pendingItems || null;
+      Utils.logAction("从检查点继续", {
+        name: targetFeeds[startFeedIndex].name,
+        extra: `第${checkpoint.continuations}次续跑，` + (resumedItems
+          ? `该源已处理 ${checkpoint.entryCursor} 条，待处理 ${resumedItems.length} 条`
+          : '从该源开始处理')
+      });
+    }
+  }
 
-  const existingFiles = existingFilesResult.fileList.map(f =>
-    f.name.substring(0, f.name.length - 4)  // 去掉.txt扩展名
-  );
+  // === 6. 处理每个RSS源 ===
+  const runSeenKeys = new Set(); // 本次执行中已纳入处理的去重键
+  let interruption = null;
 
-  // === 5. 处理每个RSS源 ===
-  let totalProcessed = 0;
-  let totalSaved = 0;
-  let totalErrors = 0;
-  let totalSkippedExisting = 0;  // 跳过已存在的新闻数量
+  for (let feedIndex = startFeedIndex; feedIndex < targetFeeds.length && !interruption; feedIndex++) {
+    const feed = targetFeeds[feedIndex];
+    const context = { feed, newsFolder, seenIndex, stats, getElapsedSeconds };
 
-  targetFeeds.forEach(feed => {
     try {
-      // 获取该源的目标新新闻数量，如果未配置则使用全局默认
-      const maxNewEntries = feed.maxEntriesPerFeed || PERFORMANCE_CONFIG.maxEntriesPerFeed;
-
-      Utils.logAction("处理RSS源", { name: feed.name, url: feed.url, targetNewEntries: maxNewEntries });
+      let items;
+      let entryCursor = 0;
+      let feedValidators;       // 本次抓取的验证器，undefined 表示从检查点恢复（未抓取）
+      let errorsBeforeItems = 0;
+
+      if (resumedItems) {
+        items = resumedItems;
+        entryCursor = checkpoint.entryCursor || 0;
+        resumedItems = null;
+        items.forEach(item => {
+          item.keys.forEach(key => runSeenKeys.add(key));
+          // 检查点以JSON保存，日期字段需要还原为Date对象
+          item.entry.publishedAt = item.entry.publishedAt ? new Date(item.entry.publishedAt) : null;
+        });
+      } else {
+        if (isOverTimeBudget()) {
+          interruption = { feedIndex, entryCursor: 0, pendingItems: null };
+          break;
+        }
 
-      const entries = NewsUtils.RSS.fetchAndParse(feed.url, feed.type);
+        if (NewsUtils.FeedHealth.isSuspended(feedHealth, feed)) {
+          Utils.logAction("跳过暂停的RSS源", {
+            name: feed.name,
+            extra: `连续失败已暂停，${NewsUtils.Digest.formatTime(feedHealth.records[feed.url].nextProbeAt)} 后重新探测`
+          });
+          stats.suspendedFeeds++;
+          continue;
+        }
 
-      Utils.logScanRange("新闻条目", entries.length, {
-        extra: `来源: ${feed.name}, 目标: 筛选${maxNewEntries}个新新闻`
-      });
+        // 获取该源的目标新新闻数量，如果未配置则使用全局默认
+        const maxNewEntries = feed.maxEntriesPerFeed || PERFORMANCE_CONFIG.maxEntriesPerFeed;
 
-      let processedCount = 0;  // 记录已处理的新新闻数量
+        Utils.logAction("处理RSS源", { name: feed.name, url: feed.url, targetNewEntries: maxNewEntries });
 
-      // 遍历所有条目，直到处理了maxNewEntries个新新闻
-      for (let index = 0; index < entries.length && processedCount < maxNewEntries; index++) {
-        const entry = entries[index];
-        // 验证标题有效性
-        if (!entry.title || entry.title.trim().length === 0) {
-          Utils.logAction("跳过无效标题", { index: index + 1, reason: "标题为空" });
+        const fetchResult = NewsUtils.RSS.fetchFeed(feed.url, feed.type, NewsUtils.FeedHealth.getValidators(feedHealth, feed));
+        NewsUtils.FeedHealth.recordFetch(feedHealth, feed, fetchResult);
+        if (!fetchResult.success) {
+          stats.errors++;
           continue;
         }
-
-        // === 去重检查 ===
-        const normalizedTitle = Utils.safeFileName(entry.title, 100);
-        if (existingFiles.includes(normalizedTitle)) {
-          Utils.logAction("跳过已存在新闻", {
-            index: index + 1,
-            title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
-            normalizedTitle: normalizedTitle
-          });
-          totalSkippedExisting++;
+        if (fetchResult.notModified) {
+          // 304：与上次完整处理时相同，没有新条目，也不需要分类
+          stats.notModifiedFeeds++;
           continue;
         }
+        // 按发布时间从新到旧排序，跳过超过时效的条目
+        const freshness = NewsUtils.RSS.sortAndFilterByFreshness(fetchResult.entries, feed);
+        const entries = freshness.entries;
+        stats.staleEntries += freshness.staleCount + freshness.skippedUndatedCount;
+
+        Utils.logScanRange("新闻条目", entries.length, {
+          extra: `来源: ${feed.name}, 目标: 筛选${maxNewEntries}个新新闻` +
+            (freshness.staleCount > 0 ? `，跳过过期条目${freshness.staleCount}个` : '') +
+            (freshness.undatedCount > 0 ? `，无发布时间条目${freshness.undatedCount}个（${freshness.skippedUndatedCount > 0 ? '已跳过' : '排在最后'}）` : '')
+        });
 
-        // 这是一条新新闻！
-        processedCount++;
-        totalProcessed++;
+        // 第一步：遍历所有条目，筛选出maxNewEntries个新新闻
+        const newEntries = [];
+        const newEntryKeys = [];
+        for (let index = 0; index < entries.length && newEntries.length < maxNewEntries; index++) {
+          const entry = entries[index];
+          // 验证标题有效性
+          if (!entry.title || entry.title.trim().length === 0) {
+            Utils.logAction("跳过无效标题", { index: index + 1, reason: "标题为空" });
+            continue;
+          }
 
-        try {
-          const classification = NewsUtils.AI.classifyNewsByTitle(entry.title);
+          // === 去重检查（链接/guid索引，同一源内重复条目也跳过） ===
+          const seenKeys = NewsUtils.SeenIndex.getEntryKeys(entry, feed);
+          if (NewsUtils.SeenIndex.find(seenIndex, seenKeys) || seenKeys.some(key => runSeenKeys.has(key))) {
+            Utils.logAction("跳过已处理新闻", {
+              title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
+              extra: `(${seenKeys[0]})`
+            });
+            stats.skippedExisting++;
+            continue;
+          }
 
-          if (classification.shouldSave) {
-            // 提取新闻内容
-            const extractedContent = NewsUtils.Content.extractNewsContent(entry, feed);
+          // 这是一条新新闻！
+          seenKeys.forEach(key => runSeenKeys.add(key));
+          newEntries.push(entry);
+          newEntryKeys.push(seenKeys);
+        }
 
-            // 标记是否为AI总结内容
-            let isAISummarized = false;
-            let finalContent = extractedContent;
+        stats.processed += newEntries.length;
+
+        // 配置了 translate 的源先翻译标题，关键词规则和AI分类都使用译文
+        stats.translatedTitles += NewsUtils.Translation.translateEntryTitles(newEntries, feed);
+
+        // 第二步：先按关键词规则判定，其余新标题一次性批量AI分类
+        const keywordRules = NewsUtils.KeywordFilter.compileRules(feed);
+        const classifications = newEntries.map(entry => NewsUtils.KeywordFilter.classify(keywordRules, entry.title));
+        const aiEntries = newEntries.filter((entry, index) => !classifications[index]);
+        stats.keywordKept += classifications.filter(result => result && result.keywordAction === 'keep').length;
+        stats.keywordSkipped += classifications.filter(result => result && result.keywordAction === 'skip').length;
+
+        const aiClassifications = NewsUtils.AI.classifyNewsBatch(
+          aiEntries.map(entry => entry.title),
+          feed,
+          aiEntries.map(entry => entry.categories || [])
+        );
+        classifications.forEach((result, index) => {
+          if (!result) {
+            classifications[index] = aiClassifications.shift();
+          }
+        });
 
-            // 检查内容长度：小于最小阈值丢弃，大于最大阈值使用AI总结，之间保存原文
-            if (extractedContent.length > CONTENT_CONFIG.maxContentLength) {
-              Utils.logAction("执行AI总结", {
-                title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
-                extra: `原文长度: ${extractedContent.length}字符，超过阈值${CONTENT_CONFIG.maxContentLength}字符，已运行${getElapsedSeconds()}秒`
-              });
+        items = newEntries.map((entry, index) => ({
+          entry: entry,
+          classification: classifications[index],
+          keys: newEntryKeys[index]
+        }));
 
-              // 调用AI总结
-              const summarizationResult = NewsUtils.AI.summarizeContent(extractedContent);
-              // 思考标签已在summarizeContent函数中清理
-              finalContent = summarizationResult.content;
-              isAISummarized = summarizationResult.didSummarize;
-
-              Utils.logAction("AI总结完成", {
-                title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
-                extra: isAISummarized
-                  ? `原文: ${extractedContent.length}字符 → 总结: ${finalContent.length}字符，已运行${getElapsedSeconds()}秒`
-                  : `AI总结失败，回退原文: ${finalContent.length}字符，已运行${getElapsedSeconds()}秒`
-              });
-            } else {
-              Utils.logAction("跳过AI总结", {
-                title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
-                extra: `内容长度: ${extractedContent.length}字符，未超过阈值${CONTENT_CONFIG.maxContentLength}字符`
-              });
-            }
+        // 达到数量上限（还有未筛选的条目）或有分类失败的条目时不保存验证器，下次完整下载以处理剩余条目
+        const fullyConsumed = newEntries.length < maxNewEntries && classifications.every(result => result.category !== '分类失败');
+        feedValidators = fullyConsumed ? fetchResult.validators : null;
+        errorsBeforeItems = stats.errors;
+      }
 
-            // 检查最终内容长度，如果小于最小阈值则跳过
-            if (finalContent.length < CONTENT_CONFIG.minContentLength) {
-              Utils.logAction("跳过新闻", {
-                title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
-                extra: `最终内容长度${finalContent.length}字符小于最小阈值${CONTENT_CONFIG.minContentLength}字符`
-              });
-              continue; // 跳过这条新闻，进入下一个循环
-            }
+      // 第三步：只对保留的新闻提取内容、总结并保存，超出时间预算时中断并记录剩余条目
+      for (let cursor = 0; cursor < items.length; cursor++) {
+        if (isOverTimeBudget()) {
+          interruption = { feedIndex, entryCursor: entryCursor + cursor, pendingItems: items.slice(cursor) };
+          break;
+        }
+        processNewsItem_(context, items[cursor]);
+      }
 
-            // 构建新闻内容，包含来源、分类、标题、正文
-            const newsContent = NewsUtils.Storage.formatNewsContent({
-              source: feed.name, // 来源：RSS源名称
-              category: classification.category,
-              title: entry.title, // 标题：新闻标题
-              content: finalContent, // 智能内容提取结果
-              isAISummarized: isAISummarized // 是否为AI总结
-            });
+      // 中断时剩余条目只保存在检查点中，检查点失效后需要完整下载才能找回，因此清除验证器
+      if (feedValidators !== undefined) {
+        NewsUtils.FeedHealth.setValidators(feedHealth, feed, stats.errors === errorsBeforeItems && !interruption ? feedValidators : null);
+      }
 
-            // 保存文件
-            const saved = NewsUtils.Storage.saveNewsToDrive(newsFolder, entry.title, newsContent);
-            if (saved) {
-              totalSaved++;
-            }
-          } else {
-            Utils.logAction("跳过新闻", {
-              title: entry.title.substring(0, 50) + (entry.title.length > 50 ? '...' : ''),
-              category: classification.category
-            });
-          }
-        } catch (error) {
-          // AI分类或保存错误：跳过当前新闻，记录错误
-          Utils.logError(error, `处理新闻: ${entry.title?.substring(0, 50)}...`);
-          totalErrors++;
-        }
-      } // end for loop
+      // 每个源处理完（或中断）即保存索引，避免后续源出错或超时丢失去重记录
+      NewsUtils.SeenIndex.save(seenIndex);
 
     } catch (error) {
       // RSS获取或解析错误：跳过整个源，记录错误
       Utils.logError(error, `处理RSS源: ${feed.name}`);
-      totalErrors++;
+      stats.errors++;
     }
-  });
+  }
+
+  NewsUtils.FeedHealth.save(feedHealth);
+  const continuations = checkpoint ? checkpoint.continuations : 0;
+
+  // === 7. 超出时间预算：保存检查点并安排续跑 ===
+  if (interruption) {
+    const scheduled = NewsUtils.Checkpoint.saveAndScheduleContinuation(groupNumber, {
+      feedUrl: targetFeeds[interruption.feedIndex].url,
+      entryCursor: interruption.entryCursor,
+      pendingItems: interruption.pendingItems,
+      stats: stats,
+      continuations: continuations + 1,
+      startedAt: checkpoint ? checkpoint.startedAt : scriptStartTime.getTime()
+    });
+
+    Utils.logEnd(`新闻源收集 - 组${groupNumber}`, {
+      count: stats.saved,
+      message: `组${groupNumber} - 已运行${getElapsedSeconds()}秒，超出时间预算${EXECUTION_CONFIG.timeBudgetSeconds}秒，${scheduled ? `已保存检查点，${EXECUTION_CONFIG.continuationDelaySeconds}秒后续跑` : '未安排续跑，剩余条目将在下次运行处理'}（累计保存 ${stats.saved} 个）`
+    });
+    return;
+  }
+
+  if (checkpoint) {
+    NewsUtils.Checkpoint.clear(groupNumber);
+  }
 
-  // === 6. 生成执行摘要 ===
-  const skipped = totalProcessed - totalSaved;
+  // === 8. 生成执行摘要（合并所有续跑的统计） ===
+  const skipped = stats.processed - stats.saved;
   const summary = {
-    count: totalSaved,
-    message: `组${groupNumber} - 目标: ${targetFeeds.reduce((sum, feed) => sum + (feed.maxEntriesPerFeed || PERFORMANCE_CONFIG.maxEntriesPerFeed), 0)} 个新新闻，实际处理 ${totalProcessed} 个新新闻，保存 ${totalSaved} 个，跳过 ${skipped} 个（已存在: ${totalSkippedExisting}），错误 ${totalErrors} 个`
+    count: stats.saved,
+    message: `组${groupNumber} - 目标: ${targetFeeds.reduce((sum, feed) => sum + (feed.maxEntriesPerFeed || PERFORMANCE_CONFIG.maxEntriesPerFeed), 0)} 个新新闻，实际处理 ${stats.processed} 个新新闻，保存 ${stats.saved} 个，跳过 ${skipped} 个（已处理过: ${stats.skippedExisting}，近似重复: ${stats.duplicates}，过期: ${stats.staleEntries}），错误 ${stats.errors} 个${stats.keywordKept + stats.keywordSkipped > 0 ? `，关键词规则保留 ${stats.keywordKept} 个、跳过 ${stats.keywordSkipped} 个（节省AI分类 ${stats.keywordKept + stats.keywordSkipped} 条）` : ''}${stats.summaryValidationFailures + stats.summaryRepaired > 0 ? `，AI总结校验未通过 ${stats.summaryValidationFailures} 次、本地清理 ${stats.summaryRepaired} 篇` : ''}${stats.translatedTitles + stats.translatedContents > 0 ? `，翻译标题 ${stats.translatedTitles} 条、正文 ${stats.translatedContents} 篇` : ''}${stats.notModifiedFeeds > 0 ? `，未更新的源 ${stats.notModifiedFeeds} 个` : ''}${stats.suspendedFeeds > 0 ? `，暂停的源 ${stats.suspendedFeeds} 个` : ''}${continuations > 0 ? `（共 ${continuations + 1} 次执行）` : ''}`
   };
 
   // 记录性能统计
@@ -1244,10 +5493,10 @@ function processNewsFeedsByGroup(groupNumber) {
     group: groupNumber,
     rssSources: targetFeeds.length,
     targetNewEntries: PERFORMANCE_CONFIG.maxEntriesPerFeed,
-    actualNewEntries: totalProcessed,
-    existingFiles: existingFiles.length,
-    skippedExisting: totalSkippedExisting,
-    successRate: totalProcessed > 0 ? Math.round((totalSaved / totalProcessed) * 100) : 0
+    actualNewEntries: stats.processed,
+    seenIndexSize: Object.keys(seenIndex.records).length,
+    skippedExisting: stats.skippedExisting,
+    successRate: stats.processed > 0 ? Math.round((stats.saved / stats.processed) * 100) : 0
   });
 
   Utils.logEnd(`新闻源收集 - 组${groupNumber}`, summary);
@@ -1284,3 +5533,368 @@ function processNewsFeedGroup3() {
 function processNewsFeedGroup4() {
   processNewsFeedsByGroup(4);
 }
+
+/**
+ * 每日新闻摘要入口函数
+ * 汇总上次摘要以来保存的新闻，按分类生成Google文档保存到 DIGEST_CONFIG.subFolder；没有新新闻时不生成文档。
+ * 建议在 gdriveCleanNewsFeed 清理新闻文件之前运行，否则已清理的新闻只有标题和链接。
+ */
+function createNewsDigest() {
+  Utils.logStart('每日新闻摘要');
+
+  const until = Date.now();
+  const state = NewsUtils.State.readJson(DIGEST_CONFIG.stateKey, {});
+  const since = state.lastDigestAt || until - DIGEST_CONFIG.initialLookbackHours * 60 * 60 * 1000;
+
+  try {
+    const items = NewsUtils.Digest.collectSavedItems(since, until);
+    Utils.logScanRange("已保存新闻", items.length, {
+      extra: `时间范围: ${NewsUtils.Digest.formatTime(since)} 至 ${NewsUtils.Digest.formatTime(until)}`
+    });
+
+    if (items.length === 0) {
+      Utils.logEnd('每日新闻摘要', { count: 0, message: "上次摘要以来没有新保存的新闻，未生成文档" });
+      return null;
+    }
+
+    const folder = UtilsGoogleDrive.ensureNestedFolderExists(`${STORAGE_CONFIG.rootFolder}/${DIGEST_CONFIG.subFolder}`);
+    if (!folder) {
+      throw new Error(`无法创建摘要目录: ${DIGEST_CONFIG.subFolder}`);
+    }
+
+    const groups = NewsUtils.Digest.groupByCategory(items);
+    const documentTitle = DIGEST_CONFIG.documentTitle.replace('{{date}}', NewsUtils.Digest.formatTime(until, 'yyyy-MM-dd HH:mm'));
+    const document = NewsUtils.Digest.buildDocument(folder, documentTitle, groups, { since, until });
+
+    NewsUtils.State.writeJson(DIGEST_CONFIG.stateKey, { lastDigestAt: until, documentId: document.getId() });
+
+    Utils.logEnd('每日新闻摘要', {
+      count: items.length,
+      message: `已生成"${documentTitle}"：${items.length} 条新闻，${groups.map(group => `${group.category} ${group.items.length}`).join('，')}`
+    });
+    return document.getId();
+
+  } catch (error) {
+    Utils.logError(error, '每日新闻摘要');
+    return null;
+  }
+}
+
+/**
+ * 新闻邮件入口函数
+ * 将时间窗口内保存的新闻按分类分组，通过Gmail发送HTML邮件（附纯文本备用）；窗口内没有新闻或未配置收件人时不发送。
+ */
+function sendNewsDigestEmail() {
+  Utils.logStart('新闻邮件');
+
+  if (!EMAIL_DIGEST_CONFIG.recipients || EMAIL_DIGEST_CONFIG.recipients.length === 0) {
+    Utils.logEnd('新闻邮件', { count: 0, message: "未配置收件人（EMAIL_DIGEST_CONFIG.recipients），未发送" });
+    return false;
+  }
+
+  const until = Date.now();
+  const state = NewsUtils.State.readJson(EMAIL_DIGEST_CONFIG.stateKey, {});
+  const since = Math.max(state.lastSentAt || 0, until - EMAIL_DIGEST_CONFIG.windowHours * 60 * 60 * 1000);
+
+  try {
+    const items = NewsUtils.Digest.collectSavedItems(since, until);
+    Utils.logScanRange("已保存新闻", items.length, {
+      extra: `时间范围: ${NewsUtils.Digest.formatTime(since)} 至 ${NewsUtils.Digest.formatTime(until)}`
+    });
+
+    if (items.length === 0) {
+      Utils.logEnd('新闻邮件', { count: 0, message: "时间窗口内没有新保存的新闻，未发送" });
+      return false;
+    }
+
+    // 超出条数上限时保留最新的新闻
+    const selectedItems = items.sort((a, b) => b.savedAt - a.savedAt).slice(0, EMAIL_DIGEST_CONFIG.maxItems);
+    const omittedCount = items.length - selectedItems.length;
+    const groups = NewsUtils.Digest.groupByCategory(selectedItems);
+    const subject = EMAIL_DIGEST_CONFIG.subjectTemplate
+      .replace('{{date}}', NewsUtils.Digest.formatTime(until, 'yyyy-MM-dd'))
+      .replace('{{count}}', selectedItems.length);
+
+    GmailApp.sendEmail(EMAIL_DIGEST_CONFIG.recipients.join(','), subject,
+      NewsUtils.Digest.renderEmailText(subject, groups, omittedCount), {
+        htmlBody: NewsUtils.Digest.renderEmailHtml(subject, groups, omittedCount),
+        name: EMAIL_DIGEST_CONFIG.senderName
+      });
+
+    NewsUtils.State.writeJson(EMAIL_DIGEST_CONFIG.stateKey, { lastSentAt: until });
+
+    Utils.logEnd('新闻邮件', {
+      count: selectedItems.length,
+      message: `已发送"${subject}"给 ${EMAIL_DIGEST_CONFIG.recipients.length} 位收件人${omittedCount > 0 ? `，另有 ${omittedCount} 条超出上限未列出` : ''}`
+    });
+    return true;
+
+  } catch (error) {
+    Utils.logError(error, '新闻邮件');
+    return false;
+  }
+}
+
+/**
+ * Web应用入口函数：以 RSS 2.0 / Atom 1.0 格式输出最近保存的新闻
+ * 请求示例：<Web应用URL>?token=xxx&format=atom（format 可选 rss、atom）
+ * @param {Object} e - Web应用请求事件
+ * @return {GoogleAppsScript.Content.TextOutput} XML订阅源或错误信息
+ */
+function doGet(e) {
+  const parameters = (e && e.parameter) || {};
+
+  if (!NewsUtils.WebFeed.isAuthorized(parameters.token)) {
+    Utils.logAction("拒绝订阅源请求", { name: WEB_FEED_CONFIG.title, extra: "访问令牌无效或未配置" });
+    return ContentService.createTextOutput('Forbidden').setMimeType(ContentService.MimeType.TEXT);
+  }
+
+  const format = String(parameters.format || WEB_FEED_CONFIG.defaultFormat).toLowerCase() === 'atom' ? 'atom' : 'rss';
+
+  try {
+    const until = Date.now();
+    const items = NewsUtils.Digest.collectSavedItems(until - WEB_FEED_CONFIG.windowHours * 60 * 60 * 1000, until, {
+      maxItems: WEB_FEED_CONFIG.maxItems
+    });
+
+    // 订阅源自身地址不包含令牌，避免令牌出现在阅读器展示的链接中
+    const selfUrl = `${ScriptApp.getService().getUrl()}?format=${format}`;
+    const xml = format === 'atom'
+      ? NewsUtils.WebFeed.renderAtom(items, selfUrl)
+      : NewsUtils.WebFeed.renderRss(items, selfUrl);
+
+    Utils.logAction("输出订阅源", { name: WEB_FEED_CONFIG.title, extra: `${format.toUpperCase()}，${items.length} 条新闻` });
+    return ContentService.createTextOutput(xml)
+      .setMimeType(format === 'atom' ? ContentService.MimeType.ATOM : ContentService.MimeType.RSS);
+
+  } catch (error) {
+    Utils.logError(error, '输出订阅源');
+    return ContentService.createTextOutput('Internal Error').setMimeType(ContentService.MimeType.TEXT);
+  }
+}
+
+/**
+ * RSS源健康报告 - 手动运行入口函数
+ * 以表格形式输出所有RSS源（表格配置或 RSS_FEEDS）的健康状态：最近成功时间、连续失败次数、最近HTTP状态、最近条目数、解析错误次数
+ * @return {Array<Object>} 每个RSS源一行的报告数据
+ */
+function reportFeedHealth() {
+  Utils.logStart('RSS源健康报告');
+
+  const health = NewsUtils.FeedHealth.load();
+  const formatTime = timestamp => timestamp ? NewsUtils.Digest.formatTime(timestamp, 'MM-dd HH:mm') : '-';
+  const rows = NewsUtils.FeedConfig.getFeeds().map(feed => {
+    const record = health.records[feed.url];
+    return {
+      name: feed.name,
+      status: NewsUtils.FeedHealth.getStatus(record),
+      lastSuccess: formatTime(record && record.lastSuccessAt),
+      failures: record ? String(record.consecutiveFailures || 0) : '-',
+      httpStatus: record && record.lastHttpStatus ? String(record.lastHttpStatus) : '-',
+      entries: record && typeof record.lastEntryCount === 'number' ? String(record.lastEntryCount) : '-',
+      parseErrors: record ? String(record.parseErrors || 0) : '-',
+      nextProbe: record && record.suspendedAt ? formatTime(record.nextProbeAt) : '-'
+    };
+  });
+
+  const columns = [
+    ['name', 'RSS源'], ['status', '状态'], ['lastSuccess', '最近成功'], ['failures', '连续失败'],
+    ['httpStatus', 'HTTP'], ['entries', '条目数'], ['parseErrors', '解析错误'], ['nextProbe', '下次探测']
+  ];
+  const widths = columns.map(([key, label]) => Math.max(label.length, ...rows.map(row => row[key].length)));
+  const formatRow = values => values.map((value, index) => value.padEnd(widths[index])).join(' | ');
+  const table = [
+    formatRow(columns.map(([, label]) => label)),
+    widths.map(width => '-'.repeat(width)).join('-|-'),
+    ...rows.map(row => formatRow(columns.map(([key]) => row[key])))
+  ].join('\n');
+
+  Logger.log(`\n${table}`);
+
+  const problemRows = rows.filter(row => !['正常', '未检查'].includes(row.status));
+  Utils.logEnd('RSS源健康报告', {
+    count: rows.length,
+    message: `共 ${rows.length} 个RSS源，${problemRows.length > 0 ? `${problemRows.length} 个需要关注（${problemRows.map(row => `${row.name}: ${row.status}`).join('，')}）` : '没有异常'}`
+  });
+  return rows;
+}
+
+/**
+ * RSS源表格校验 - 手动运行入口函数
+ * 读取 FEED_SHEET_CONFIG 指定的表格并按 FEED_SHEET_SCHEMA 校验，逐行输出错误，不影响收集流程
+ * @return {Object} { feeds, errors } 校验结果
+ */
+function checkFeedConfigSheet() {
+  Utils.logStart('RSS源表格校验');
+
+  const result = NewsUtils.FeedConfig.loadFromSheet();
+  result.errors.forEach(message => Logger.log(message));
+
+  Utils.logEnd('RSS源表格校验', {
+    count: result.feeds ? result.feeds.length : 0,
+    message: result.feeds
+      ? `有效RSS源 ${result.feeds.length} 个，错误 ${result.errors.length} 条${result.feeds.length === 0 ? '，收集时将回退到 RSS_FEEDS' : ''}`
+      : `表格 ${FEED_SHEET_CONFIG.fileName}/${FEED_SHEET_CONFIG.sheetName} 不可用，收集时将使用 RSS_FEEDS`
+  });
+  return result;
+}
+
+/**
+ * 导出RSS源为OPML - 手动运行入口函数
+ * 将当前RSS源配置（表格配置或 RSS_FEEDS）写入 OPML_CONFIG.subFolder 目录
+ * @return {string|null} 导出的文件名，失败时返回null
+ */
+function exportFeedsToOpml() {
+  Utils.logStart('导出RSS源OPML');
+
+  const feeds = NewsUtils.FeedConfig.getFeeds();
+  const folder = NewsUtils.Opml.getFolder();
+  const fileName = OPML_CONFIG.exportFileName.replace('{{date}}', NewsUtils.Digest.formatTime(Date.now(), 'yyyyMMdd_HHmm'));
+  const success = !!folder && UtilsGoogleDrive.saveOrUpdateFile(folder, fileName, NewsUtils.Opml.render(feeds));
+
+  Utils.logEnd('导出RSS源OPML', {
+    count: success ? feeds.length : 0,
+    message: success
+      ? `已导出 ${feeds.length} 个RSS源到 ${STORAGE_CONFIG.rootFolder}/${OPML_CONFIG.subFolder}/${fileName}`
+      : `导出失败：无法写入 ${STORAGE_CONFIG.rootFolder}/${OPML_CONFIG.subFolder}`
+  });
+  return success ? fileName : null;
+}
+
+/**
+ * 从OPML导入RSS源 - 手动运行入口函数
+ * 读取 OPML_CONFIG.subFolder 目录中的OPML文件，按URL合并到RSS源表格并报告新增/更新/未变化的RSS源。
+ * RSS源表格不可用时只与 RSS_FEEDS 比较，并在日志中输出合并后的配置，需手动写入代码。
+ * @param {string} fileName - OPML文件名（可选，默认 OPML_CONFIG.importFileName）
+ * @return {Object|null} { added, updated, unchanged, errors }，文件不存在或无法解析时返回null
+ */
+function importFeedsFromOpml(fileName = OPML_CONFIG.importFileName) {
+  Utils.logStart('导入RSS源OPML');
+
+  const folder = NewsUtils.Opml.getFolder();
+  const text = folder ? UtilsGoogleDrive.readFileContent(folder, fileName) : null;
+  if (!text) {
+    Utils.logEnd('导入RSS源OPML', { count: 0, message: `找不到文件 ${STORAGE_CONFIG.rootFolder}/${OPML_CONFIG.subFolder}/${fileName}` });
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = NewsUtils.Opml.parse(text);
+  } catch (error) {
+    Utils.logError(error, `解析OPML文件: ${fileName}`);
+    Utils.logEnd('导入RSS源OPML', { count: 0, message: `${fileName} 解析失败` });
+    return null;
+  }
+  parsed.errors.forEach(message => Logger.log(message));
+
+  // 没有任何分组信息的新RSS源使用默认分组；已有RSS源保留原分组
+  const existingUrls = NewsUtils.FeedConfig.getFeeds().map(feed => feed.url);
+  parsed.feeds.forEach(feed => {
+    if (!feed.processGroups && existingUrls.indexOf(feed.url) === -1) {
+      feed.processGroups = OPML_CONFIG.defaultProcessGroups.slice();
+    }
+  });
+
+  let report = NewsUtils.FeedConfig.mergeIntoSheet(parsed.feeds);
+  let target = `表格 ${FEED_SHEET_CONFIG.fileName}/${FEED_SHEET_CONFIG.sheetName}`;
+
+  if (!report) {
+    // 表格不可用：与 RSS_FEEDS 比较，输出合并结果供手动更新代码
+    target = 'RSS_FEEDS（未写入，请将日志中的配置复制到代码）';
+    report = { added: [], updated: [], unchanged: [] };
+    const merged = RSS_FEEDS.map(feed => Object.assign({}, feed));
+    parsed.feeds.forEach(feed => {
+      const existing = merged.find(candidate => candidate.url === feed.url);
+      if (!existing) {
+        merged.push(feed);
+        report.added.push(feed.name);
+        return;
+      }
+
+      const existingValues = NewsUtils.FeedConfig.toCellValues(existing);
+      const importedValues = NewsUtils.FeedConfig.toCellValues(feed);
+      const changed = Object.keys(importedValues).some(column => importedValues[column] !== existingValues[column]);
+      Object.assign(existing, feed);
+      (changed ? report.updated : report.unchanged).push(feed.name);
+    });
+    Logger.log(`const RSS_FEEDS = ${JSON.stringify(merged, null, 2)};`);
+  }
+
+  report.errors = parsed.errors;
+  Utils.logEnd('导入RSS源OPML', {
+    count: report.added.length + report.updated.length,
+    message: `合并到${target}：新增 ${report.added.length} 个${report.added.length > 0 ? `（${report.added.join('、')}）` : ''}，` +
+      `更新 ${report.updated.length} 个${report.updated.length > 0 ? `（${report.updated.join('、')}）` : ''}，` +
+      `未变化 ${report.unchanged.length} 个，跳过无效条目 ${parsed.errors.length} 个`
+  });
+  return report;
+}
+
+/**
+ * RSS源自动发现 - 手动运行入口函数
+ * 读取网页中声明的订阅链接和常见订阅路径，逐个按收集流程相同的方式抓取解析（NewsUtils.RSS.fetchFeed，即 fetchAndParse 的底层实现）验证，
+ * 返回按推荐程度排序的列表；源类型以实际内容检测结果为准。
+ * 可在编辑器中新建函数调用，例如 discoverFeeds('https://www.example.com')。
+ * @param {string} siteUrl - 网站地址（缺少协议时按https处理）
+ * @return {Array<Object>} 可用的源 { url, title, type, entryCount, latestPublishedAt, source('link'|'path') }
+ */
+function discoverFeeds(siteUrl) {
+  Utils.logStart('RSS源自动发现');
+
+  const pageUrl = NewsUtils.Discovery.normalizeSiteUrl(siteUrl);
+  const html = UtilsNetwork.fetchHtml(pageUrl);
+  const pageTitleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const pageTitle = pageTitleMatch ? pageTitleMatch[1].replace(/\s+/g, ' ').trim() : '';
+
+  // 网页声明的链接在前，常见路径在后，按URL去重
+  const seenUrls = {};
+  const candidates = NewsUtils.Discovery.extractLinkCandidates(html, pageUrl)
+    .concat(NewsUtils.Discovery.getCommonPathCandidates(pageUrl))
+    .filter(candidate => !seenUrls[candidate.url] && (seenUrls[candidate.url] = true))
+    .slice(0, DISCOVERY_CONFIG.maxCandidates);
+
+  Utils.logScanRange("候选订阅地址", candidates.length, { extra: `网站: ${pageUrl}${html ? '' : '（网页获取失败，只尝试常见路径）'}` });
+
+  const results = [];
+  candidates.forEach(candidate => {
+    // 不传入声明的类型，按内容自动检测，避免声明与实际格式不符时解析失败
+    const fetchResult = NewsUtils.RSS.fetchFeed(candidate.url);
+    const entries = fetchResult.entries;
+    if (!fetchResult.success || entries.length === 0) {
+      Utils.logAction("跳过候选订阅地址", { url: candidate.url, name: candidate.url, extra: '无法解析或没有条目' });
+      return;
+    }
+
+    const publishedTimes = entries.map(entry => (entry.publishedAt ? entry.publishedAt.getTime() : 0));
+    results.push({
+      url: candidate.url,
+      title: candidate.title || pageTitle,
+      type: fetchResult.detectedType,
+      entryCount: entries.length,
+      latestPublishedAt: Math.max(...publishedTimes) || null,
+      source: candidate.source
+    });
+  });
+
+  const ranked = NewsUtils.Discovery.rank(results);
+  ranked.forEach((result, index) => {
+    Logger.log(`${index + 1}. ${result.title || '(无标题)'} [${result.type}] ${result.url} - ${result.entryCount} 条${result.source === 'link' ? '（网页声明）' : ''}`);
+  });
+
+  Utils.logEnd('RSS源自动发现', {
+    count: ranked.length,
+    message: `${pageUrl}：验证 ${candidates.length} 个候选地址，可用 ${ranked.length} 个${ranked.length > 0 ? `，推荐 ${ranked[0].url}` : ''}`
+  });
+  return ranked;
+}
+
+/**
+ * 重置AI模型熔断状态 - 手动运行入口函数
+ * 清除所有分组共享的熔断记录，例如更换API密钥后让401/403模型立即恢复尝试
+ */
+function resetAiModelCircuitBreaker() {
+  const resetCount = NewsUtils.AI.resetModelCircuitBreaker();
+  Utils.logAction("重置AI模型熔断", { name: AI_CIRCUIT_BREAKER_CONFIG.storageKey, extra: `已清除 ${resetCount} 个模型的熔断记录` });
+  return resetCount;
+}
@@ -137,6 +137,20 @@ const Utils = {
     return safe.trim();
   },
 
+  /**
+   * 转义HTML/XML特殊字符（& < > " '），用于拼接HTML邮件或XML文档
+   * @param {string} text - 原始文本
+   * @return {string} 转义后的文本
+   */
+  escapeHtml: function(text) {
+    return String(text === null || text === undefined ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
   /**
    * 将 HTML 清理为纯文本：解码实体、去掉脚本/样式/图片等，可选把 p/br 转为换行，最后移除全部标签。
    * @param {string} html - 原始HTML内容
@@ -464,6 +478,17 @@ const Utils = {
     console.error(message);
   },
 
+  /**
+   * 记录调试日志
+   * 只写入 console.log（Cloud Logging 中为 DEBUG 级别），不进入 Logger 执行日志，用于记录逐条的详细信息
+   * @param {string} action - 操作名称
+   * @param {Object} details - 操作详情对象（同 logAction）
+   */
+  logDebug: function(action, details) {
+    const target = details && (details.subject || details.title || details.name);
+    console.log(`[调试] ${action}${target ? `: "${target}"` : ''} ${(details && details.extra) || ''}`);
+  },
+
   /**
    * 记录扫描范围日志
    * @param {string} itemType - 项目类型
@@ -91,6 +91,22 @@ const UtilsGoogleDrive = {
     return files.hasNext() ? files.next() : null;
   },
 
+  /**
+   * 读取文件夹中指定文件的文本内容
+   * @param {Folder} folder - 文件夹对象
+   * @param {string} fileName - 文件名
+   * @return {string|null} 文件文本内容（UTF-8），文件不存在或读取失败时返回null
+   */
+  readFileContent: function(folder, fileName) {
+    try {
+      const file = this.findFileInFolder(folder, fileName);
+      return file ? file.getBlob().getDataAsString('UTF-8') : null;
+    } catch (error) {
+      Logger.log(`读取文件失败 "${fileName}": ${error.message}`);
+      return null;
+    }
+  },
+
   /**
    * 查找带扩展名的文件
    * @param {Folder} folder - 文件夹对象
@@ -4,7 +4,7 @@
  * Created: 2025-12-10
  * Author: Victor Cheng
  * Email: hi@victor42.work
- * Description: 网络请求工具函数库，封装 UrlFetchApp，提供默认 User-Agent、可选手动重定向跟随，以及 XML/HTML/文本便捷方法。
+ * Description: 网络请求工具函数库，封装 UrlFetchApp，提供默认 User-Agent、可选手动重定向跟随、响应字符集检测，以及 XML/HTML/文本便捷方法。
  */
 
 /**
@@ -104,12 +104,32 @@ const UtilsNetwork = {
    * @return {string} XML文本内容
    */
   fetchXml: function(url, options = {}) {
+    return this.fetchXmlConditional(url, null, options).content;
+  },
+
+  /**
+   * 条件请求获取XML内容：携带上次响应的 ETag / Last-Modified，服务器返回304时不重新下载
+   * @param {string} url - XML源URL
+   * @param {Object} validators - 上次响应的验证器 { etag, lastModified }（可选，为空时发起普通请求）
+   * @param {Object} options - 请求配置（可选）
+   * @return {Object} { notModified, content, validators }，content 在304时为null，validators 为本次响应的验证器
+   */
+  fetchXmlConditional: function(url, validators, options = {}) {
     try {
+      const conditionalHeaders = {};
+      if (validators && validators.etag) {
+        conditionalHeaders['If-None-Match'] = validators.etag;
+      }
+      if (validators && validators.lastModified) {
+        conditionalHeaders['If-Modified-Since'] = validators.lastModified;
+      }
+
       // 设置默认的Accept头为XML类型
       const xmlOptions = {
         ...options,
         headers: {
           'Accept': 'application/xml,text/xml,application/rss+xml,application/atom+xml',
+          ...conditionalHeaders,
           ...options.headers
         }
       };
@@ -117,11 +137,28 @@ const UtilsNetwork = {
       const response = this.fetchWithRetry(url, xmlOptions);
       const responseCode = response.getResponseCode();
 
+      if (responseCode === 304 && Object.keys(conditionalHeaders).length > 0) {
+        // 304响应可能不带验证器，沿用上次的值
+        const responseValidators = this._getValidators(response);
+        return {
+          notModified: true,
+          content: null,
+          validators: {
+            etag: responseValidators.etag || validators.etag || null,
+            lastModified: responseValidators.lastModified || validators.lastModified || null
+          }
+        };
+      }
+
       if (responseCode !== 200) {
         throw new Error(`HTTP ${responseCode}: ${response.getContentText().substring(0, 100)}`);
       }
 
-      return response.getContentText();
+      return {
+        notModified: false,
+        content: this.getResponseText(response),
+        validators: this._getValidators(response)
+      };
 
     } catch (error) {
       Logger.log(`获取XML失败: ${url}, 错误: ${error.message}`);
@@ -129,6 +166,25 @@ const UtilsNetwork = {
     }
   },
 
+  /**
+   * 内部函数：从响应头读取缓存验证器（头名称大小写不固定）
+   * @private
+   * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - HTTP响应对象
+   * @return {Object} { etag, lastModified }，不存在的值为null
+   */
+  _getValidators: function(response) {
+    const headers = response.getHeaders() || {};
+    const findHeader = name => {
+      const key = Object.keys(headers).find(headerName => headerName.toLowerCase() === name);
+      return key ? String(headers[key]) : null;
+    };
+
+    return {
+      etag: findHeader('etag'),
+      lastModified: findHeader('last-modified')
+    };
+  },
+
   /**
    * 获取HTML内容（专门用于网页抓取）
    * @param {string} url - 网页URL
@@ -154,7 +210,7 @@ const UtilsNetwork = {
         return '';
       }
 
-      return response.getContentText();
+      return this.getResponseText(response);
 
     } catch (error) {
       Logger.log(`获取HTML失败: ${url}, 错误: ${error.message}`);
@@ -231,6 +287,112 @@ const UtilsNetwork = {
       Logger.log(`获取响应头失败: ${url}, 错误: ${error.message}`);
       return {};
     }
+  },
+
+  /**
+   * ==================== 响应字符集处理 ====================
+   */
+
+  /**
+   * 检测响应内容的字符集
+   * 优先级：字节顺序标记（BOM）> Content-Type 响应头 > 内容开头的 <meta charset> / http-equiv / XML声明 >
+   * 都没有声明时，内容不是合法UTF-8则按 GB18030 处理，否则为 UTF-8。
+   * GB2312/GBK 统一按其超集 GB18030 解码，避免声明为GB2312的网页中的扩展字符乱码。
+   * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - HTTP响应对象
+   * @return {string} 字符集名称（如 'UTF-8'、'GB18030'、'Big5'）
+   */
+  detectCharset: function(response) {
+    const bytes = response.getContent();
+
+    // 1. BOM
+    if (bytes.length >= 3 && (bytes[0] & 0xFF) === 0xEF && (bytes[1] & 0xFF) === 0xBB && (bytes[2] & 0xFF) === 0xBF) {
+      return 'UTF-8';
+    }
+    if (bytes.length >= 2 && (bytes[0] & 0xFF) === 0xFE && (bytes[1] & 0xFF) === 0xFF) {
+      return 'UTF-16BE';
+    }
+    if (bytes.length >= 2 && (bytes[0] & 0xFF) === 0xFF && (bytes[1] & 0xFF) === 0xFE) {
+      return 'UTF-16LE';
+    }
+
+    // 2. Content-Type 响应头
+    const headers = response.getHeaders() || {};
+    const contentTypeKey = Object.keys(headers).find(name => name.toLowerCase() === 'content-type');
+    const headerMatch = contentTypeKey ? String(headers[contentTypeKey]).match(/charset\s*=\s*["']?([\w.:-]+)/i) : null;
+    if (headerMatch) {
+      return this._normalizeCharset(headerMatch[1]);
+    }
+
+    // 3. 内容开头的声明（声明只含ASCII字符，按单字节读取前4096字节即可）
+    const head = bytes.slice(0, 4096).map(byte => String.fromCharCode(byte & 0xFF)).join('');
+    const declarationMatch = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i)
+      || head.match(/<\?xml[^>]+encoding\s*=\s*["']([\w.:-]+)["']/i);
+    if (declarationMatch) {
+      return this._normalizeCharset(declarationMatch[1]);
+    }
+
+    // 4. 没有声明：按内容判断
+    return this._isValidUtf8(bytes) ? 'UTF-8' : 'GB18030';
+  },
+
+  /**
+   * 按检测到的字符集解码响应内容，字符集不受支持时回退到默认解码
+   * @param {GoogleAppsScript.URL_Fetch.HTTPResponse} response - HTTP响应对象
+   * @param {string} charset - 字符集（可选，默认调用 detectCharset 检测）
+   * @return {string} 解码后的文本
+   */
+  getResponseText: function(response, charset) {
+    const targetCharset = charset || this.detectCharset(response);
+    try {
+      return response.getContentText(targetCharset).replace(/^\uFEFF/, '');
+    } catch (error) {
+      Logger.log(`按字符集 ${targetCharset} 解码失败，使用默认解码: ${error.message}`);
+      return response.getContentText();
+    }
+  },
+
+  /**
+   * 内部函数：规范化字符集名称
+   * @private
+   * @param {string} charset - 声明的字符集
+   * @return {string} 规范化后的字符集名称
+   */
+  _normalizeCharset: function(charset) {
+    const name = String(charset).trim().toLowerCase();
+    if (['gb2312', 'gbk', 'x-gbk', 'gb_2312-80', 'cp936', 'euc-cn', 'gb18030'].indexOf(name) !== -1) {
+      return 'GB18030';
+    }
+    if (['big5', 'big5-hkscs', 'x-x-big5'].indexOf(name) !== -1) {
+      return 'Big5';
+    }
+    if (['utf-8', 'utf8', 'unicode-1-1-utf-8'].indexOf(name) !== -1) {
+      return 'UTF-8';
+    }
+    return charset.trim();
+  },
+
+  /**
+   * 内部函数：检查字节序列是否为合法的UTF-8
+   * @private
+   * @param {Array<number>} bytes - 字节数组（Apps Script 中为有符号字节）
+   * @return {boolean} 是否为合法UTF-8
+   */
+  _isValidUtf8: function(bytes) {
+    let index = 0;
+    while (index < bytes.length) {
+      const byte = bytes[index] & 0xFF;
+      const length = byte < 0x80 ? 1 : (byte >= 0xC2 && byte <= 0xDF ? 2 : (byte >= 0xE0 && byte <= 0xEF ? 3 : (byte >= 0xF0 && byte <= 0xF4 ? 4 : 0)));
+      if (length === 0 || index + length > bytes.length) {
+        return false;
+      }
+      for (let offset = 1; offset < length; offset++) {
+        if (((bytes[index + offset] & 0xFF) & 0xC0) !== 0x80) {
+          return false;
+        }
+      }
+      index += length;
+    }
+    return true;
   }
 
 };
\ No newline at end of file